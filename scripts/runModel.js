@@ -0,0 +1,136 @@
+/*
+ * Runs a disease model from the command line, without the browser.
+ *
+ * Usage:
+ *   npm run simulate -- --model simulationTwo --rounds 100 --size 1600 \
+ *     --params params.json --seed 42 --out results.csv
+ *
+ * Options:
+ *   --model   A folder name in src/sims (handshakeGame, simulationOne,
+ *             simulationTwo) or a path to any diseaseModel.js file.
+ *   --rounds  Number of rounds to run (default 100).
+ *   --size    Population size (default 400).
+ *   --params  A JSON file of parameter overrides, e.g. {"infectionRate": 0.5}.
+ *   --seed    Seed for the random numbers, 0 or more (default: a new
+ *             random seed).
+ *   --out     File to write; .csv gives CSV, anything else gives JSON.
+ *             Without --out, JSON is printed to the console. Both start
+ *             with the model, population size, seed and parameters.
+ *   --format  Force "csv" or "json" regardless of the --out extension.
+ */
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { diseaseModels } from "../src/sims/models.js";
+import { runSimulation } from "../src/lib/runSimulation.js";
+import { makeSeed } from "../src/lib/random.js";
+import { toCsv, toJson } from "../src/lib/exportData.js";
+
+const usage =
+  "Usage: npm run simulate -- --model <name or path> [--rounds <n>] " +
+  "[--size <n>] [--params <file>] [--seed <n>] [--out <file>] " +
+  "[--format csv|json]";
+
+const options = ["model", "rounds", "size", "params", "seed", "out", "format"];
+const formats = ["csv", "json"];
+
+// Reads "--name value" pairs. A misspelled option or a stray word would
+// otherwise be ignored without a word, so both stop the run.
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith("--")) {
+      throw new Error(`Unexpected "${argv[i]}".\n${usage}`);
+    }
+    const name = argv[i].slice(2);
+    if (!options.includes(name)) {
+      throw new Error(`Unknown option "${argv[i]}".\n${usage}`);
+    }
+    args[name] = argv[i + 1];
+    i++;
+  }
+  return args;
+};
+
+// Reads a whole-number option, e.g. --size 400. Anything else ("abc",
+// "1.5", "-3", or a number below min) is a mistake we explain, not guess at.
+const readWholeNumber = (args, name, fallback, min) => {
+  if (!(name in args)) {
+    return fallback;
+  }
+  const text = args[name] ?? "";
+  const value = Number(text);
+  if (!/^\d+$/.test(text) || value < min) {
+    throw new Error(
+      `--${name} must be a whole number of at least ${min}, not "${text}".` +
+        `\n${usage}`
+    );
+  }
+  return value;
+};
+
+const loadModel = async (name) => {
+  if (diseaseModels[name]) {
+    return diseaseModels[name];
+  }
+  if (fs.existsSync(name)) {
+    return import(pathToFileURL(path.resolve(name)).href);
+  }
+  throw new Error(
+    `Unknown model "${name}". Use one of ${Object.keys(diseaseModels).join(
+      ", "
+    )} or a path to a diseaseModel.js file.`
+  );
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.model) {
+    throw new Error(`Please choose a model with --model.\n${usage}`);
+  }
+  const model = await loadModel(args.model);
+  const rounds = readWholeNumber(args, "rounds", 100, 1);
+  const populationSize = readWholeNumber(args, "size", 400, 1);
+  const seed = readWholeNumber(args, "seed", makeSeed(), 0);
+  let format = args.format;
+  if ("format" in args && !formats.includes(format)) {
+    throw new Error(
+      `--format must be one of ${formats.join(", ")}, not "${format ?? ""}".` +
+        `\n${usage}`
+    );
+  }
+  if (!format) {
+    format = args.out && args.out.endsWith(".csv") ? "csv" : "json";
+  }
+  const parameters = args.params
+    ? JSON.parse(fs.readFileSync(args.params, "utf8"))
+    : {};
+
+  const data = runSimulation(model, {
+    populationSize,
+    rounds,
+    parameters,
+    seed,
+  });
+
+  const metadata = {
+    model: args.model,
+    populationSize,
+    seed,
+    parameters: { ...model.defaultSimulationParameters, ...parameters },
+  };
+  const output =
+    format === "csv" ? toCsv(data, metadata) : toJson(data, metadata);
+
+  if (args.out) {
+    fs.writeFileSync(args.out, output + "\n");
+    console.log(`Wrote ${data.length} rounds to ${args.out} (seed ${seed})`);
+  } else {
+    console.log(output);
+  }
+};
+
+main().catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
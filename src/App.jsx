@@ -2,8 +2,13 @@ import React, { useEffect, useState } from "react";
 import HandshakeSimulation from "./sims/handshakeGame/HandshakeSimulation";
 import Simulation from "./sims/simulationOne/Simulation";
 import Simulation2 from "./sims/simulationTwo/Simulation";
+import MalariaSimulation from "./sims/malaria/Simulation";
+import { SimulationShell } from "./lib/SimulationShell";
 
 export const App = () => {
+  // Each sim either has its own component, or just a model (any module in
+  // sims/models.js), which gets the standard SimulationShell, e.g.
+  //   { name: "Flu", model: flu }
   const sims = [
     {
       name: "Handshake Simulation",
@@ -17,6 +22,10 @@ export const App = () => {
       name: "COVID-19",
       component: Simulation2,
     },
+    {
+      name: "Malaria",
+      component: MalariaSimulation,
+    },
   ];
 
   const [activeSim, setActiveSim] = useState(undefined);
@@ -34,12 +43,26 @@ export const App = () => {
     </div>
   );
 
+  const renderActiveSim = () => {
+    if (activeSim.component) {
+      return <activeSim.component key={activeSim.name} />;
+    } else {
+      return (
+        <SimulationShell
+          key={activeSim.name}
+          model={activeSim.model}
+          title={activeSim.name}
+        />
+      );
+    }
+  };
+
   const renderSim = () => (
     <div className="simulation-container">
       <button className="back-button" onClick={() => setActiveSim(undefined)}>
         Back
       </button>
-      <activeSim.component />;
+      {renderActiveSim()}
     </div>
   );
 
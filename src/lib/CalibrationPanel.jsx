@@ -0,0 +1,189 @@
+import React, { useState } from "react";
+import { defaultRangeFor, schemaFor } from "./parameterSchema";
+import { useJob } from "./jobClient";
+import { JobProgress } from "./JobProgress";
+
+/**
+ * Finds parameter values that make the model reproduce imported observed
+ * data (see lib/calibrate.js), and applies them on request.
+ *
+ * @param {Object} props
+ * @param {Object} props.model - A diseaseModel.js module.
+ * @param {string} props.modelId - Its key in sims/models.js.
+ * @param {Array<{round: number, observed: number}>} props.observedData
+ * @param {Object} props.parameters - The current parameter values.
+ * @param {number} props.populationSize
+ * @param {number} props.seed
+ * @param {Function} props.onApply - Called with the best-fit values (only
+ *   the fitted keys) when the user applies them.
+ */
+export const CalibrationPanel = ({
+  model,
+  modelId,
+  observedData,
+  parameters,
+  populationSize,
+  seed,
+  onApply,
+}) => {
+  const schema = schemaFor(model);
+  const keys = Object.keys(schema).filter(
+    (key) => schema[key].type === "number" || schema[key].type === "integer"
+  );
+  const [ranges, setRanges] = useState(() =>
+    keys.map((key) => ({
+      key,
+      enabled: false,
+      ...defaultRangeFor(schema[key], parameters[key]),
+    }))
+  );
+  const [statKey, setStatKey] = useState(() =>
+    model.trackedStats.some((s) => s.value === "infected")
+      ? "infected"
+      : model.trackedStats[0].value
+  );
+  const [method, setMethod] = useState("nelderMead");
+  const [repeats, setRepeats] = useState(1);
+  const [result, setResult] = useState(null);
+  const job = useJob(); // Calibration runs in the background
+
+  const fit = ranges.filter((r) => r.enabled);
+
+  const updateRange = (index, changes) => {
+    const newRanges = ranges.slice();
+    newRanges[index] = { ...ranges[index], ...changes };
+    setRanges(newRanges);
+  };
+
+  const runCalibration = async () => {
+    setResult(null);
+    const best = await job.start("calibrate", modelId, {
+      observedData,
+      statKey,
+      fit,
+      parameters,
+      populationSize,
+      seed,
+      repeats,
+      method,
+    });
+    if (best) {
+      setResult(best);
+    }
+  };
+
+  const renderResult = () => {
+    if (!result) {
+      return null;
+    }
+    return (
+      <div>
+        <p>
+          Best fit after {result.evaluations} runs (root mean squared error{" "}
+          {result.rmse.toFixed(2)}):{" "}
+          {Object.keys(result.parameters)
+            .map((key) => `${key} = ${result.parameters[key]}`)
+            .join(", ")}
+        </p>
+        <button onClick={() => onApply(result.parameters)}>
+          Apply to Sliders
+        </button>
+      </div>
+    );
+  };
+
+  if (!observedData || observedData.length === 0) {
+    return (
+      <div className="calibration-panel">
+        <h2>Calibration</h2>
+        <p>Import some real-world data above to fit the model to it.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="calibration-panel">
+      <h2>Calibration</h2>
+      <label>
+        Compare observed data to:
+        <select value={statKey} onChange={(e) => setStatKey(e.target.value)}>
+          {model.trackedStats.map((stat) => (
+            <option key={stat.value} value={stat.value}>
+              {stat.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <table>
+        <thead>
+          <tr>
+            <th>Fit?</th>
+            <th>Parameter</th>
+            <th>Min</th>
+            <th>Max</th>
+          </tr>
+        </thead>
+        <tbody>
+          {ranges.map((range, index) => (
+            <tr key={range.key}>
+              <td>
+                <input
+                  type="checkbox"
+                  checked={range.enabled}
+                  onChange={(e) =>
+                    updateRange(index, { enabled: e.target.checked })
+                  }
+                />
+              </td>
+              <td>{range.key}</td>
+              <td>
+                <input
+                  type="number"
+                  value={range.min}
+                  onChange={(e) =>
+                    updateRange(index, { min: parseFloat(e.target.value) })
+                  }
+                />
+              </td>
+              <td>
+                <input
+                  type="number"
+                  value={range.max}
+                  onChange={(e) =>
+                    updateRange(index, { max: parseFloat(e.target.value) })
+                  }
+                />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <label>
+        Search:
+        <select value={method} onChange={(e) => setMethod(e.target.value)}>
+          <option value="nelderMead">Nelder–Mead</option>
+          <option value="grid">Grid (5 values each)</option>
+        </select>
+      </label>
+      <label>
+        Runs per guess:
+        <input
+          type="number"
+          min="1"
+          value={repeats}
+          onChange={(e) =>
+            setRepeats(Math.max(1, parseInt(e.target.value) || 1))
+          }
+        />
+      </label>
+      <button
+        onClick={runCalibration}
+        disabled={job.running || fit.length === 0}
+      >
+        Fit Parameters
+      </button>
+      <JobProgress job={job} unit="guesses" />
+      {renderResult()}
+    </div>
+  );
+};
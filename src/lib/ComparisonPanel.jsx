@@ -0,0 +1,387 @@
+import React, { useEffect, useRef, useState } from "react";
+import { LineChart, YAxis, XAxis, Line, Tooltip, Legend } from "recharts";
+import { createSimulationClient } from "./simulationClient";
+import { ParameterControls } from "./ParameterControls";
+import { WorldCanvas } from "./WorldCanvas";
+import { schemaFor } from "./parameterSchema";
+
+const maxRuns = 4;
+const runNames = ["Run A", "Run B", "Run C", "Run D"];
+const runColors = ["#f44336", "#2196f3", "#4caf50", "#ff9800"];
+const worldSize = 300; // Each run's world view, in pixels
+const maxSampleSize = 20000; // Patients drawn per run (several are on screen)
+
+const emptyResult = { patients: [], agentCount: 0, stats: {}, data: [] };
+
+// Lines the runs up by round for the chart: { round, run0, run1, ... }
+const mergeRuns = (results, stat) => {
+  const rows = [];
+  results.forEach((result, i) => {
+    result.data.forEach((dataPoint, round) => {
+      if (!rows[round]) {
+        rows[round] = { round: dataPoint.round ?? round };
+      }
+      rows[round]["run" + i] = dataPoint[stat];
+    });
+  });
+  return rows;
+};
+
+// Numbers like R can have lots of decimals
+const formatNumber = (value) => {
+  if (typeof value !== "number") {
+    return "–";
+  }
+  return Number.isInteger(value) ? String(value) : value.toFixed(2);
+};
+
+const formatDifference = (value, base) => {
+  if (typeof value !== "number" || typeof base !== "number") {
+    return "";
+  }
+  const difference = value - base;
+  return ` (${difference >= 0 ? "+" : "−"}${formatNumber(
+    Math.abs(difference)
+  )})`;
+};
+
+/**
+ * Runs two or more sets of parameters for the same model side by side --
+ * e.g. "quarantine" vs. "no quarantine" -- so a class can watch them play
+ * out together.
+ *
+ * Every run starts from exactly the same population (Run A's, copied into
+ * the others) and the same random numbers, and they step in lockstep: the
+ * next round only starts once every run has finished the last one. So any
+ * difference between them comes from the parameters alone. That also means
+ * parameters only used to build the population (setup: true in the
+ * parameterSchema) are always Run A's.
+ *
+ * @param {Object} props
+ * @param {Object} props.model - A diseaseModel.js module from sims/models.js.
+ * @param {string} props.modelId - Its key in sims/models.js.
+ * @param {Object} props.parameters - Starting parameters for every run.
+ * @param {number} props.populationSize
+ * @param {number} props.seed
+ * @param {Array<Object>} props.legend - See WorldCanvas.
+ * @param {Function} props.glyphFor - See WorldCanvas.
+ * @param {Function} [props.onPatients] - See SimulationShell.
+ */
+export const ComparisonPanel = ({
+  model,
+  modelId,
+  parameters,
+  populationSize,
+  seed,
+  legend,
+  glyphFor,
+  onPatients,
+}) => {
+  const { trackedStats } = model;
+  const schema = schemaFor(model);
+  const setupKeys = Object.keys(schema).filter((key) => schema[key].setup);
+  const [runs, setRuns] = useState(() => [parameters, parameters]);
+  const [results, setResults] = useState(() => runs.map(() => emptyResult));
+  const [editing, setEditing] = useState(1); // Whose parameters are shown
+  const [waiting, setWaiting] = useState(0); // Runs still working on a step
+  const [autoMode, setAutoMode] = useState(false);
+  const [error, setError] = useState(null); // The last error a run threw
+  const [stat, setStat] = useState(() =>
+    trackedStats.some((s) => s.value === "infected")
+      ? "infected"
+      : trackedStats[0].value
+  );
+  const [compareBy, setCompareBy] = useState("latest");
+  const clients = useRef([]);
+
+  const onUpdate = (i, update) => {
+    if (onPatients) {
+      onPatients(update.patients);
+    }
+    setResults((old) => {
+      const data =
+        update.type === "step"
+          ? [...old[i].data.slice(0, update.round - 1), update.stats]
+          : [];
+      const updated = [...old];
+      updated[i] = {
+        patients: update.patients,
+        agentCount: update.agentCount,
+        stats: update.stats,
+        data,
+      };
+      return updated;
+    });
+    setWaiting((w) => Math.max(0, w - 1));
+  };
+
+  // A run that throws won't reply, so stop waiting for it
+  const onError = (i, message) => {
+    setError(`${runNames[i]}: ${message}`);
+    setAutoMode(false);
+    setWaiting(0);
+  };
+
+  // Starts every run again from a fresh population. Only Run A builds one;
+  // the others get a copy of it (random number state included).
+  const resetAll = async () => {
+    const [first, ...others] = clients.current;
+    setAutoMode(false);
+    setError(null);
+    setWaiting(clients.current.length);
+    first.reset(populationSize, seed, maxSampleSize, runs[0]);
+    let snapshot;
+    try {
+      snapshot = await first.snapshot();
+    } catch (err) {
+      onError(0, err.message);
+      return;
+    }
+    for (let client of others) {
+      client.restore(snapshot, maxSampleSize);
+    }
+  };
+
+  // One worker per run. Adding or removing a run starts them all over.
+  useEffect(() => {
+    clients.current = runs.map((_, i) =>
+      createSimulationClient(
+        modelId,
+        (update) => onUpdate(i, update),
+        (message) => onError(i, message)
+      )
+    );
+    setResults(runs.map(() => emptyResult));
+    return () => {
+      for (let client of clients.current) {
+        client.terminate();
+      }
+    };
+  }, [modelId, runs.length]);
+
+  // So the runs always match the population size and seed we say they use
+  useEffect(() => {
+    resetAll();
+  }, [modelId, runs.length, populationSize, seed]);
+
+  const stepAll = () => {
+    if (waiting > 0) {
+      return; // Keep the runs in lockstep
+    }
+    setWaiting(runs.length);
+    runs.forEach((runParameters, i) => clients.current[i].step(runParameters));
+  };
+
+  useEffect(() => {
+    if (autoMode && waiting === 0) {
+      const timer = setTimeout(stepAll, 500);
+      return () => clearTimeout(timer);
+    }
+  }, [autoMode, waiting]);
+
+  const addRun = () => {
+    setRuns([...runs, runs[runs.length - 1]]);
+    setEditing(runs.length);
+  };
+
+  const removeRun = () => {
+    setRuns(runs.slice(0, -1));
+    setEditing(Math.min(editing, runs.length - 2));
+  };
+
+  // Setup parameters always follow Run A (see above)
+  const setRunParameters = (i, newParameters) => {
+    const updated = runs.map((runParameters, j) => {
+      const base = j === i ? newParameters : runParameters;
+      const shared = {};
+      for (let key of setupKeys) {
+        shared[key] = (i === 0 ? newParameters : runs[0])[key];
+      }
+      return { ...base, ...shared };
+    });
+    setRuns(updated);
+  };
+
+  // The parameters where a run differs from Run A
+  const differences = (i) =>
+    Object.keys(runs[i]).filter(
+      (key) =>
+        !setupKeys.includes(key) &&
+        JSON.stringify(runs[i][key]) !== JSON.stringify(runs[0][key])
+    );
+
+  const valueFor = (result, key) => {
+    if (compareBy === "peak") {
+      let peak;
+      for (let dataPoint of result.data) {
+        if (peak === undefined || dataPoint[key] > peak) {
+          peak = dataPoint[key];
+        }
+      }
+      return peak;
+    }
+    return result.stats[key];
+  };
+
+  const describeRun = (i) => {
+    if (i === 0) {
+      return "The baseline.";
+    }
+    const changed = differences(i);
+    if (changed.length === 0) {
+      return "Same parameters as Run A.";
+    }
+    return "Differs from Run A in: " + changed.join(", ");
+  };
+
+  const renderRun = (result, i) => (
+    <div key={i} className="comparison-run">
+      <h3 style={{ color: runColors[i] }}>
+        {runNames[i]}{" "}
+        <button
+          className={editing === i ? "active" : ""}
+          onClick={() => setEditing(i)}
+        >
+          Edit Parameters
+        </button>
+      </h3>
+      <p>{describeRun(i)}</p>
+      <WorldCanvas
+        patients={result.patients}
+        populationSize={result.agentCount}
+        legend={legend}
+        glyphFor={glyphFor}
+        size={worldSize}
+      />
+    </div>
+  );
+
+  const renderChart = () => (
+    <div className="chart-container">
+      <div className="tabs">
+        {trackedStats.map((s) => (
+          <button
+            key={s.value}
+            onClick={() => setStat(s.value)}
+            className={stat === s.value ? "active" : ""}
+          >
+            {s.label}
+          </button>
+        ))}
+      </div>
+      <LineChart data={mergeRuns(results, stat)} width={500} height={400}>
+        <YAxis />
+        <XAxis dataKey="round" />
+        <Tooltip />
+        <Legend />
+        {runs.map((_, i) => (
+          <Line
+            key={i}
+            type="monotone"
+            dataKey={"run" + i}
+            name={runNames[i]}
+            stroke={runColors[i]}
+            dot={false}
+            isAnimationActive={false}
+          />
+        ))}
+      </LineChart>
+    </div>
+  );
+
+  const renderDifferenceTable = () => (
+    <div>
+      <label>
+        Compare:
+        <select
+          value={compareBy}
+          onChange={(e) => setCompareBy(e.target.value)}
+        >
+          <option value="latest">This round</option>
+          <option value="peak">Peak so far</option>
+        </select>
+      </label>
+      <table>
+        <thead>
+          <tr>
+            <th>Statistic</th>
+            {runs.map((_, i) => (
+              <th key={i}>
+                {runNames[i]}
+                {i > 0 && " (vs. A)"}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {trackedStats.map((s) => {
+            const base = valueFor(results[0], s.value);
+            return (
+              <tr key={s.value}>
+                <td>{s.label}</td>
+                {results.map((result, i) => {
+                  const value = valueFor(result, s.value);
+                  return (
+                    <td key={i}>
+                      {formatNumber(value)}
+                      {i > 0 && formatDifference(value, base)}
+                    </td>
+                  );
+                })}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  return (
+    <div className="comparison-panel">
+      <h2>Compare Scenarios</h2>
+      <p>
+        Each run starts from the same {populationSize} people and seed {seed},
+        then steps together with its own parameters. Round{" "}
+        {results[0].data.length}.
+      </p>
+      <button onClick={stepAll} disabled={waiting > 0}>
+        Next Turn
+      </button>
+      <button onClick={() => setAutoMode(true)}>AutoRun</button>
+      <button onClick={() => setAutoMode(false)}>Stop</button>
+      <button onClick={resetAll}>Reset Runs</button>
+      <button onClick={addRun} disabled={runs.length >= maxRuns}>
+        Add Run
+      </button>
+      <button onClick={removeRun} disabled={runs.length <= 2}>
+        Remove Run
+      </button>
+      {error && (
+        <div className="subset-warning">
+          A run stopped with an error: {error}. Reset the runs to start again.
+        </div>
+      )}
+
+      <div className="comparison-worlds">
+        {results.slice(0, runs.length).map(renderRun)}
+      </div>
+
+      <h3 style={{ color: runColors[editing] }}>
+        {runNames[editing]} Parameters
+      </h3>
+      <ParameterControls
+        key={editing} // Drop half-typed values when switching runs
+        model={model}
+        parameters={runs[editing]}
+        onChange={(newParameters) => setRunParameters(editing, newParameters)}
+        lockedKeys={editing === 0 ? [] : setupKeys}
+        lockedNote="Same as Run A: every run starts from Run A's people"
+      />
+
+      <div className="side-by-side">
+        {renderChart()}
+        {renderDifferenceTable()}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,109 @@
+import React, { useEffect, useState } from "react";
+import { parseCsvFile, toObservedSeries } from "./importData";
+
+/**
+ * Lets the user load a CSV of real case counts, pick which column is the
+ * round (or date) and which is the count, and hands the resulting series to
+ * onObservedData so it can be drawn over the simulation.
+ *
+ * @param {Object} props
+ * @param {number} props.populationSize - Used to scale "per 1,000" data.
+ * @param {Function} props.onObservedData - Called with an array of
+ *   { round, observed } points, or null once the data is cleared.
+ */
+export const DataImporter = ({ populationSize, onObservedData }) => {
+  const [csv, setCsv] = useState(null); // { fileName, columns, rows }
+  const [roundColumn, setRoundColumn] = useState("");
+  const [countColumn, setCountColumn] = useState("");
+  const [perThousand, setPerThousand] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Re-build the series whenever a choice (or the population) changes
+  useEffect(() => {
+    if (csv && roundColumn && countColumn) {
+      try {
+        onObservedData(
+          toObservedSeries(csv.rows, {
+            roundColumn,
+            countColumn,
+            perThousand,
+            populationSize,
+          })
+        );
+        setError(null);
+      } catch (err) {
+        onObservedData(null);
+        setError(`Could not use ${csv.fileName}: ${err.message}`);
+      }
+    }
+  }, [csv, roundColumn, countColumn, perThousand, populationSize]);
+
+  const onFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) {
+      return;
+    }
+    try {
+      const { columns, rows } = await parseCsvFile(file);
+      setCsv({ fileName: file.name, columns, rows });
+      setRoundColumn(columns[0]);
+      setCountColumn(columns[1] || columns[0]);
+      setError(null);
+    } catch (err) {
+      setError(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  const clear = () => {
+    setCsv(null);
+    onObservedData(null);
+  };
+
+  const renderColumnSelect = (value, setValue) => (
+    <select value={value} onChange={(e) => setValue(e.target.value)}>
+      {csv.columns.map((column) => (
+        <option key={column} value={column}>
+          {column}
+        </option>
+      ))}
+    </select>
+  );
+
+  const renderColumnChoices = () => {
+    if (!csv) {
+      return null;
+    }
+    return (
+      <>
+        <label>
+          Round or date column:
+          {renderColumnSelect(roundColumn, setRoundColumn)}
+        </label>
+        <label>
+          Count column:
+          {renderColumnSelect(countColumn, setCountColumn)}
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={perThousand}
+            onChange={(e) => setPerThousand(e.target.checked)}
+          />
+          Counts are per 1,000 people
+        </label>
+        <button onClick={clear}>Clear {csv.fileName}</button>
+      </>
+    );
+  };
+
+  return (
+    <div className="data-importer">
+      <label>
+        Real-world data (CSV):
+        <input type="file" accept=".csv,text/csv" onChange={onFile} />
+      </label>
+      {renderColumnChoices()}
+      {error && <div className="subset-warning">{error}</div>}
+    </div>
+  );
+};
@@ -0,0 +1,30 @@
+import React from "react";
+
+/**
+ * Shows how far a job from useJob (lib/jobClient.js) has got, with a button
+ * to cancel it, or the error it stopped with.
+ *
+ * @param {Object} props
+ * @param {Object} props.job - What useJob returns.
+ * @param {string} [props.unit="runs"] - What the job counts.
+ */
+export const JobProgress = ({ job, unit = "runs" }) => {
+  if (job.error) {
+    return (
+      <div className="subset-warning">Stopped with an error: {job.error}</div>
+    );
+  }
+  if (!job.running) {
+    return null;
+  }
+  const { done, total } = job.progress;
+  return (
+    <div className="job-progress">
+      {total && <progress value={done} max={total} />}
+      <span>
+        {total ? `${done} of ${total}` : done} {unit}
+      </span>
+      <button onClick={job.cancel}>Cancel</button>
+    </div>
+  );
+};
@@ -0,0 +1,135 @@
+import React, { useState } from "react";
+import { schemaFor, validateParameter, parseParameter } from "./parameterSchema";
+
+/**
+ * Builds a control for every parameter of a model from its parameterSchema
+ * (see lib/parameterSchema.js): a slider plus a box to type in for numbers,
+ * a checkbox for on/off settings and a drop-down for choices.
+ *
+ * Typed values are only passed on once they are valid; until then the box
+ * shows what is wrong.
+ *
+ * @param {Object} props
+ * @param {Object} props.model - A diseaseModel.js module.
+ * @param {Object} props.parameters - The current parameter values.
+ * @param {Function} props.onChange - Called with the new parameters object.
+ * @param {Array<string>} [props.lockedKeys] - Parameters shown but not
+ *   editable here.
+ * @param {string} [props.lockedNote] - Shown next to each locked parameter
+ *   to say why.
+ */
+export const ParameterControls = ({
+  model,
+  parameters,
+  onChange,
+  lockedKeys = [],
+  lockedNote,
+}) => {
+  const schema = schemaFor(model);
+  // What the user has typed but we haven't accepted yet, by key
+  const [drafts, setDrafts] = useState({});
+
+  const setValue = (key, value) => {
+    onChange({ ...parameters, [key]: value });
+  };
+
+  const onType = (key, text) => {
+    const value = parseParameter(text, schema[key]);
+    if (validateParameter(value, schema[key]) === null) {
+      setDrafts({ ...drafts, [key]: undefined });
+      setValue(key, value);
+    } else {
+      setDrafts({ ...drafts, [key]: text });
+    }
+  };
+
+  const resetToDefaults = () => {
+    setDrafts({});
+    onChange({ ...model.defaultSimulationParameters });
+  };
+
+  const renderInput = (key, spec) => {
+    const value = parameters[key];
+    const disabled = lockedKeys.includes(key);
+    if (spec.type === "boolean") {
+      return (
+        <input
+          type="checkbox"
+          disabled={disabled}
+          checked={value}
+          onChange={(e) => setValue(key, e.target.checked)}
+        />
+      );
+    }
+    if (spec.type === "select") {
+      return (
+        <select
+          disabled={disabled}
+          value={String(value)}
+          onChange={(e) => setValue(key, parseParameter(e.target.value, spec))}
+        >
+          {spec.options.map((o) => (
+            <option key={String(o.value)} value={String(o.value)}>
+              {o.label}
+            </option>
+          ))}
+        </select>
+      );
+    }
+    const hasRange = spec.min !== undefined && spec.max !== undefined;
+    const step = spec.step ?? (spec.type === "integer" ? 1 : "any");
+    return (
+      <>
+        {hasRange && (
+          <input
+            type="range"
+            disabled={disabled}
+            min={spec.min}
+            max={spec.max}
+            step={step}
+            value={value}
+            onChange={(e) => onType(key, e.target.value)}
+          />
+        )}
+        <input
+          type="number"
+          disabled={disabled}
+          min={spec.min}
+          max={spec.max}
+          step={step}
+          value={drafts[key] ?? value}
+          onChange={(e) => onType(key, e.target.value)}
+        />
+        {spec.unit}
+      </>
+    );
+  };
+
+  const renderError = (key) => {
+    if (drafts[key] !== undefined) {
+      const error = validateParameter(
+        parseParameter(drafts[key], schema[key]),
+        schema[key]
+      );
+      return <span className="parameter-error">{error}</span>;
+    }
+  };
+
+  return (
+    <div className="parameter-sliders">
+      {Object.keys(schema).map((key) => (
+        <label key={key} title={schema[key].description}>
+          <div className="vertical-stack">
+            <span>{schema[key].label}:</span>
+            <span>{renderInput(key, schema[key])}</span>
+            {lockedKeys.includes(key) && lockedNote && (
+              <span className="parameter-note">{lockedNote}</span>
+            )}
+            {renderError(key)}
+          </div>
+        </label>
+      ))}
+      <button onClick={resetToDefaults}>Reset to Defaults</button>
+    </div>
+  );
+};
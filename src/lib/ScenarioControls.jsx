@@ -0,0 +1,42 @@
+import React, { useState } from "react";
+
+/**
+ * Buttons to save the current run as a scenario file and to load one back
+ * (see lib/scenario.js).
+ *
+ * @param {Object} props
+ * @param {Function} props.onSave - Saves the current run.
+ * @param {Function} props.onLoad - Called with the text of the chosen file;
+ *   throws an Error (whose message we show) if the file can't be used.
+ * @param {boolean} [props.disabled] - True while a step is still running.
+ */
+export const ScenarioControls = ({ onSave, onLoad, disabled }) => {
+  const [error, setError] = useState(null);
+
+  const onFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) {
+      return;
+    }
+    e.target.value = ""; // So choosing the same file again still loads it
+    try {
+      onLoad(await file.text());
+      setError(null);
+    } catch (err) {
+      setError(`Could not load ${file.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="scenario-controls">
+      <button disabled={disabled} onClick={onSave}>
+        Save Scenario
+      </button>
+      <label>
+        Load Scenario:
+        <input type="file" accept=".json,application/json" onChange={onFile} />
+      </label>
+      {error && <div className="subset-warning">{error}</div>}
+    </div>
+  );
+};
@@ -0,0 +1,561 @@
+import React, { useEffect, useRef, useState } from "react";
+import { diseaseModels } from "../sims/models";
+import { renderChart } from "./renderChart";
+import { renderTable } from "./renderTable";
+import { makeSeed } from "./random";
+import { createSimulationClient } from "./simulationClient";
+import { SweepPanel } from "./SweepPanel";
+import { ComparisonPanel } from "./ComparisonPanel";
+import { WorldCanvas } from "./WorldCanvas";
+import { renderExportButtons } from "./renderExportButtons";
+import { useJob } from "./jobClient";
+import { JobProgress } from "./JobProgress";
+import { compartmentalTypes, solveForModel } from "./compartmentalModel";
+import { DataImporter } from "./DataImporter";
+import { CalibrationPanel } from "./CalibrationPanel";
+import { ParameterControls } from "./ParameterControls";
+import { ScenarioControls } from "./ScenarioControls";
+import { createScenario, parseScenario } from "./scenario";
+import { downloadFile } from "./exportData";
+
+let boxSize = 500; // World box size in pixels
+let maxSize = 100000; // Max number of patients we draw (bigger populations are sampled)
+
+// How patients are drawn if a simulation doesn't say otherwise
+const defaultLegend = [
+  { key: "healthy", label: "Healthy", emoji: "😀", color: "#4caf50" },
+  { key: "infected", label: "Infected", emoji: "🤢", color: "#f44336" },
+  { key: "newlyInfected", label: "New Case", emoji: "🤧", color: "#ff9800" },
+];
+
+const defaultGlyphFor = (p) => {
+  if (p.newlyInfected) {
+    return "newlyInfected";
+  } else if (p.infected || p.state === "infected") {
+    return "infected";
+  } else {
+    return "healthy";
+  }
+};
+
+/**
+ * Everything a simulation page needs -- the controls, chart, table and world
+ * view -- for any disease model in sims/models.js.
+ *
+ * A new model only needs a diseaseModel.js (listed in sims/models.js);
+ * its sliders come from the model's parameterSchema, and the props below
+ * let a simulation customize how it looks.
+ *
+ * @param {Object} props
+ * @param {Object} props.model - A diseaseModel.js module from sims/models.js.
+ * @param {string} [props.title] - Heading for the page.
+ * @param {React.ReactNode} [props.children] - Description shown under the title.
+ * @param {Array<Object>} [props.legend] - Ways a patient can be drawn (see
+ *   WorldCanvas).
+ * @param {Function} [props.glyphFor] - Picks the legend key for a patient.
+ * @param {Function} [props.onPatients] - Called with each new sample of
+ *   patients before it is drawn (e.g. to tidy up their positions).
+ */
+export const SimulationShell = ({
+  model,
+  title = "My Simulation",
+  children,
+  legend = defaultLegend,
+  glyphFor = defaultGlyphFor,
+  onPatients,
+}) => {
+  const modelId = Object.keys(diseaseModels).find(
+    (id) => diseaseModels[id] === model
+  );
+  if (!modelId) {
+    throw new Error(
+      "SimulationShell can only run models listed in src/sims/models.js"
+    );
+  }
+  const { trackedStats, defaultSimulationParameters } = model;
+
+  const [popSize, setPopSize] = useState(20);
+  // The seed for our random numbers: resetting with the same seed replays
+  // exactly the same outbreak.
+  const [seed, setSeed] = useState(makeSeed);
+  // The population itself lives in a Web Worker so big runs don't freeze
+  // the page; we only keep the sample of patients it sends back for drawing.
+  const [population, setPopulation] = useState([]);
+  const [populationSize, setPopulationSize] = useState(0); // People only
+  const [agentCount, setAgentCount] = useState(0); // Mosquitoes and all
+  const [currentStats, setCurrentStats] = useState({});
+  const [runSeed, setRunSeed] = useState(seed); // The seed the current run started from
+  const [stepping, setStepping] = useState(false);
+  // The message of the last error the model threw, if any
+  const [simulationError, setSimulationError] = useState(null);
+  const simulationClient = useRef(null);
+  // The timeline: the worker keeps the history of the run (see
+  // lib/timeline.js), so we can look at any round from firstRound to
+  // latestRound. viewRound is the one on screen.
+  const [viewRound, setViewRound] = useState(0);
+  const [firstRound, setFirstRound] = useState(0);
+  const [latestRound, setLatestRound] = useState(0);
+  const [historyOff, setHistoryOff] = useState(false); // Too big to go back
+  const seekTarget = useRef(null); // Where the timeline slider wants to be
+  const [diseaseData, setDiseaseData] = useState([]);
+  const [lineToGraph, setLineToGraph] = useState(() =>
+    trackedStats.some((stat) => stat.value === "infected")
+      ? "infected"
+      : trackedStats[0].value
+  );
+  // "single", "multi" or "stacked" (see renderChart)
+  const [chartMode, setChartMode] = useState("single");
+  const [shownLines, setShownLines] = useState(() =>
+    trackedStats.map((stat) => stat.value)
+  );
+  const [autoMode, setAutoMode] = useState(false);
+  const [showSweep, setShowSweep] = useState(false);
+  const [showComparison, setShowComparison] = useState(false);
+  const [simulationParameters, setSimulationParameters] = useState(
+    defaultSimulationParameters
+  );
+  // Ensemble mode: many runs with the same parameters, summarized per round
+  const [ensembleRuns, setEnsembleRuns] = useState(20);
+  const [ensembleRounds, setEnsembleRounds] = useState(100);
+  const [ensembleData, setEnsembleData] = useState(null);
+  const ensembleJob = useJob(); // Ensembles run in the background
+  // Real-world case counts to draw over the chart
+  const [observedData, setObservedData] = useState(null);
+  // Which compartmental model to draw next to the run ("" for none)
+  const [odeType, setOdeType] = useState("");
+
+  // Starts the worker when the page opens and stops it when we leave
+  useEffect(() => {
+    const onUpdate = (update) => {
+      setSimulationError(null);
+      if (onPatients) {
+        onPatients(update.patients);
+      }
+      setPopulation(update.patients);
+      setPopulationSize(update.populationSize);
+      setAgentCount(update.agentCount);
+      setRunSeed(update.seed);
+      setCurrentStats(update.stats);
+      setViewRound(update.round);
+      setFirstRound(update.firstRound);
+      setLatestRound(update.latestRound);
+      setHistoryOff(update.historyOff);
+      if (update.type === "step") {
+        // After going back in the timeline, this replaces the rounds after it
+        setDiseaseData((data) => [
+          ...data.slice(0, update.round - 1),
+          update.stats,
+        ]);
+      }
+      // If the slider moved on while the worker was busy, catch up with it
+      const target = seekTarget.current;
+      if (target !== null && target !== update.round) {
+        client.seek(target);
+        return;
+      }
+      seekTarget.current = null;
+      setStepping(false);
+    };
+    // Stop waiting for a reply that isn't coming, and say what went wrong
+    const onError = (message) => {
+      seekTarget.current = null;
+      setAutoMode(false);
+      setStepping(false);
+      setSimulationError(message);
+    };
+    const client = createSimulationClient(modelId, onUpdate, onError);
+    simulationClient.current = client;
+    client.reset(
+      Math.round(popSize * popSize),
+      seed,
+      maxSize,
+      simulationParameters
+    );
+    return () => client.terminate();
+  }, [modelId]);
+
+  // Runs a single simulation step
+  const runTurn = () => {
+    if (stepping) {
+      return; // The worker is still busy with the last step
+    }
+    setStepping(true);
+    simulationClient.current.step(simulationParameters);
+  };
+
+  // Shows the run as it was at an earlier (or later) round
+  const seekTo = (round) => {
+    setAutoMode(false);
+    setViewRound(round);
+    seekTarget.current = round;
+    if (!stepping) {
+      setStepping(true);
+      simulationClient.current.seek(round);
+    }
+  };
+
+  // Resets the simulation
+  const resetSimulation = () => {
+    seekTarget.current = null;
+    simulationClient.current.reset(
+      Math.round(popSize * popSize),
+      seed,
+      maxSize,
+      simulationParameters
+    );
+    setDiseaseData([]);
+  };
+
+  // Downloads the whole run (every person, not just the ones we draw) so it
+  // can be loaded again later
+  const saveScenario = async () => {
+    let snapshot;
+    try {
+      snapshot = await simulationClient.current.snapshot();
+    } catch (err) {
+      setSimulationError(err.message);
+      return;
+    }
+    const scenario = createScenario({
+      modelId,
+      parameters: simulationParameters,
+      seed: snapshot.seed,
+      round: snapshot.round,
+      popSize: Math.sqrt(populationSize),
+      randomState: snapshot.randomState,
+      population: snapshot.population,
+      // Only up to the round on screen, if we went back in the timeline
+      diseaseData: diseaseData.slice(0, snapshot.round),
+    });
+    downloadFile(
+      `${modelId}-seed${snapshot.seed}-round${snapshot.round}.scenario.json`,
+      JSON.stringify(scenario),
+      "application/json"
+    );
+  };
+
+  // Puts a saved run back exactly as it was, so AutoRun carries on from
+  // there. Throws (and changes nothing) if the file doesn't fit this model.
+  const loadScenario = (text) => {
+    const scenario = parseScenario(text, modelId);
+    setAutoMode(false);
+    seekTarget.current = null;
+    setSimulationParameters({
+      ...defaultSimulationParameters,
+      ...scenario.parameters,
+    });
+    setSeed(scenario.seed);
+    setPopSize(scenario.popSize);
+    setDiseaseData(scenario.diseaseData);
+    setEnsembleData(null);
+    simulationClient.current.restore(scenario, maxSize);
+  };
+
+  // Runs the model ensembleRuns times with the current parameters (seeds
+  // seed, seed + 1, ...) and shows the spread instead of the single run
+  const runEnsembleMode = async () => {
+    setAutoMode(false);
+    const result = await ensembleJob.start("ensemble", modelId, {
+      runs: ensembleRuns,
+      rounds: ensembleRounds,
+      populationSize: Math.round(popSize * popSize),
+      parameters: simulationParameters,
+      seed,
+    });
+    if (result) {
+      setEnsembleData(result);
+    }
+  };
+
+  // Auto-run simulation effect
+  useEffect(() => {
+    if (autoMode) {
+      const timer = setTimeout(runTurn, 500);
+      return () => clearTimeout(timer);
+    }
+  }, [autoMode, population]);
+
+  // The curves the equations predict, for as many rounds as we have data
+  const solveOde = () => {
+    const rounds = Math.max(
+      diseaseData.length,
+      ensembleData ? ensembleData.length : 0
+    );
+    if (!odeType || rounds === 0) {
+      return null;
+    }
+    return solveForModel(model.compartmentalModel, {
+      type: odeType,
+      parameters: simulationParameters,
+      populationSize: ensembleData
+        ? Math.round(popSize * popSize)
+        : populationSize,
+      rounds,
+    });
+  };
+
+  const renderOdeControls = () => {
+    if (!model.compartmentalModel) {
+      return null;
+    }
+    return (
+      <div className="ode-controls">
+        <label>
+          Compare with equations:
+          <select value={odeType} onChange={(e) => setOdeType(e.target.value)}>
+            <option value="">Off</option>
+            {compartmentalTypes.map((t) => (
+              <option key={t.value} value={t.value}>
+                {t.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+    );
+  };
+
+  const renderTimeline = () => (
+    <div className="timeline">
+      <button
+        disabled={viewRound <= firstRound}
+        onClick={() => seekTo(viewRound - 1)}
+      >
+        ◀ Back
+      </button>
+      <input
+        type="range"
+        min={firstRound}
+        max={latestRound}
+        value={viewRound}
+        disabled={latestRound === firstRound}
+        onChange={(e) => seekTo(parseInt(e.target.value))}
+      />
+      <button
+        disabled={viewRound >= latestRound}
+        onClick={() => seekTo(viewRound + 1)}
+      >
+        Forward ▶
+      </button>
+      <button
+        disabled={viewRound >= latestRound}
+        onClick={() => seekTo(latestRound)}
+      >
+        Latest
+      </button>
+      <span>
+        Round {viewRound} of {latestRound}
+        {viewRound < latestRound &&
+          " — Next Turn or AutoRun from here starts a new branch with the current parameters"}
+        {historyOff &&
+          " — this population is too big to keep a history, so going back is turned off"}
+      </span>
+    </div>
+  );
+
+  const renderSweep = () => {
+    if (showSweep) {
+      return (
+        <section className="top">
+          <SweepPanel
+            model={model}
+            modelId={modelId}
+            parameters={simulationParameters}
+            populationSize={Math.round(popSize * popSize)}
+            seed={seed}
+          />
+        </section>
+      );
+    }
+  };
+
+  const renderComparison = () => {
+    if (showComparison) {
+      return (
+        <section className="top">
+          <ComparisonPanel
+            model={model}
+            modelId={modelId}
+            parameters={simulationParameters}
+            populationSize={Math.round(popSize * popSize)}
+            seed={seed}
+            legend={legend}
+            glyphFor={glyphFor}
+            onPatients={onPatients}
+          />
+        </section>
+      );
+    }
+  };
+
+  return (
+    <div>
+      <section className="top">
+        <h1>{title}</h1>
+        {children}
+
+        <p>
+          Population: {populationSize}. Infected: {currentStats.infected}
+        </p>
+        {simulationError && (
+          <div className="subset-warning">
+            The model stopped with an error: {simulationError}. Reset the
+            simulation to start again.
+          </div>
+        )}
+
+        <button onClick={runTurn}>Next Turn</button>
+        <button onClick={() => setAutoMode(true)}>AutoRun</button>
+        <button onClick={() => setAutoMode(false)}>Stop</button>
+        <button onClick={() => setShowSweep(!showSweep)}>
+          {showSweep ? "Hide" : "Show"} Sweep Tool
+        </button>
+        <button onClick={() => setShowComparison(!showComparison)}>
+          {showComparison ? "Hide" : "Show"} Comparison
+        </button>
+        <button onClick={resetSimulation}>Reset Simulation</button>
+        {renderTimeline()}
+        {renderExportButtons(diseaseData, {
+          model: modelId,
+          populationSize,
+          seed: runSeed,
+          parameters: simulationParameters,
+        })}
+        <ScenarioControls
+          onSave={saveScenario}
+          onLoad={loadScenario}
+          disabled={stepping}
+        />
+
+        <div className="ensemble-controls">
+          <label>
+            Ensemble Runs:
+            <input
+              type="number"
+              min="2"
+              value={ensembleRuns}
+              onChange={(e) =>
+                setEnsembleRuns(Math.max(2, parseInt(e.target.value) || 2))
+              }
+            />
+          </label>
+          <label>
+            Rounds:
+            <input
+              type="number"
+              min="1"
+              value={ensembleRounds}
+              onChange={(e) =>
+                setEnsembleRounds(Math.max(1, parseInt(e.target.value) || 1))
+              }
+            />
+          </label>
+          <button onClick={runEnsembleMode} disabled={ensembleJob.running}>
+            Run Ensemble
+          </button>
+          <button onClick={() => setEnsembleData(null)}>Show Single Run</button>
+          <JobProgress job={ensembleJob} />
+        </div>
+
+        {renderOdeControls()}
+
+        <DataImporter
+          populationSize={populationSize}
+          onObservedData={setObservedData}
+        />
+
+        <div className="controls">
+          <label>
+            Population:
+            <div className="vertical-stack">
+              {/* Population uses a "square" size to allow a UI that makes it easy to slide
+          from a small population to a large one. */}
+              <input
+                type="range"
+                min="3"
+                max="1000"
+                value={popSize}
+                onChange={(e) => setPopSize(parseInt(e.target.value))}
+              />
+              <input
+                type="number"
+                value={Math.round(popSize * popSize)}
+                step="10"
+                onChange={(e) =>
+                  setPopSize(Math.sqrt(parseInt(e.target.value)))
+                }
+              />
+            </div>
+          </label>
+          <label>
+            Seed:
+            <div className="vertical-stack">
+              {/* The seed is used the next time you reset, so the same seed
+              always gives the same run. */}
+              <input
+                type="number"
+                value={seed}
+                onChange={(e) => setSeed(parseInt(e.target.value) || 0)}
+              />
+              <button onClick={() => setSeed(makeSeed())}>New Seed</button>
+            </div>
+          </label>
+          <ParameterControls
+            model={model}
+            parameters={simulationParameters}
+            onChange={setSimulationParameters}
+          />
+        </div>
+      </section>
+
+      <section className="side-by-side">
+        {renderChart(diseaseData, lineToGraph, setLineToGraph, trackedStats, {
+          ensembleData,
+          observedData,
+          odeData: solveOde(),
+          referenceLines:
+            model.referenceLines &&
+            model.referenceLines(simulationParameters, populationSize),
+          view: {
+            mode: chartMode,
+            setMode: setChartMode,
+            shownLines,
+            setShownLines,
+          },
+          markedRound: viewRound < latestRound ? viewRound - 1 : null,
+        })}
+
+        <div className="world">
+          <WorldCanvas
+            patients={population}
+            populationSize={agentCount}
+            legend={legend}
+            glyphFor={glyphFor}
+            size={boxSize}
+          />
+        </div>
+
+        {renderTable(
+          diseaseData.slice(0, viewRound),
+          trackedStats,
+          ensembleData
+        )}
+      </section>
+      {renderSweep()}
+      {renderComparison()}
+      <section className="top">
+        <CalibrationPanel
+          model={model}
+          modelId={modelId}
+          observedData={observedData}
+          parameters={simulationParameters}
+          populationSize={Math.round(popSize * popSize)}
+          seed={seed}
+          onApply={(values) =>
+            setSimulationParameters({ ...simulationParameters, ...values })
+          }
+        />
+      </section>
+    </div>
+  );
+};
@@ -0,0 +1,301 @@
+import React, { useState } from "react";
+import { LineChart, YAxis, XAxis, Line, Tooltip } from "recharts";
+import { rangeValues, sweepMetrics } from "./sweep";
+import { defaultRangeFor, schemaFor } from "./parameterSchema";
+import { useJob } from "./jobClient";
+import { JobProgress } from "./JobProgress";
+
+const maxCombinations = 400; // More than this takes a very long time to run
+const cellSize = 28; // Heatmap cell size in pixels
+
+// Default axis for a parameter: its default range in about 10 steps
+const defaultAxis = (key, parameters, schema) => {
+  const range = defaultRangeFor(schema[key], parameters[key]);
+  let step = parseFloat(((range.max - range.min) / 10).toPrecision(3));
+  if (range.integer) {
+    step = Math.max(1, Math.round(step));
+  }
+  return { key, from: range.min, to: range.max, step };
+};
+
+// Blends from pale yellow (smallest) to dark red (largest)
+const heatColor = (fraction) => {
+  const r = Math.round(255 - 115 * fraction);
+  const g = Math.round(237 - 237 * fraction);
+  const b = Math.round(160 - 160 * fraction);
+  return `rgb(${r}, ${g}, ${b})`;
+};
+
+const renderLine = (results, xKey, metric) => (
+  <LineChart data={results} width={400} height={300}>
+    <YAxis />
+    <XAxis dataKey={xKey} />
+    <Tooltip />
+    <Line
+      type="monotone"
+      dataKey={metric}
+      stroke="#f00"
+      isAnimationActive={false}
+    />
+  </LineChart>
+);
+
+const renderHeatmap = (results, xAxis, yAxis, metric) => {
+  const values = results.map((r) => r[metric]);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const margin = 60;
+  const width = margin + xAxis.values.length * cellSize;
+  const height = margin + yAxis.values.length * cellSize;
+  return (
+    <svg width={width} height={height} className="heatmap">
+      {results.map((r) => {
+        const col = xAxis.values.indexOf(r[xAxis.key]);
+        const row = yAxis.values.indexOf(r[yAxis.key]);
+        const fraction = max > min ? (r[metric] - min) / (max - min) : 0;
+        return (
+          <rect
+            key={col + "," + row}
+            x={margin + col * cellSize}
+            y={row * cellSize}
+            width={cellSize}
+            height={cellSize}
+            fill={heatColor(fraction)}
+          >
+            <title>
+              {xAxis.key}={r[xAxis.key]}, {yAxis.key}={r[yAxis.key]}:{" "}
+              {r[metric].toFixed(1)}
+            </title>
+          </rect>
+        );
+      })}
+      {xAxis.values.map((v, col) => (
+        <text
+          key={"x" + col}
+          x={margin + col * cellSize + cellSize / 2}
+          y={yAxis.values.length * cellSize + 14}
+          fontSize="10"
+          textAnchor="middle"
+        >
+          {v}
+        </text>
+      ))}
+      {yAxis.values.map((v, row) => (
+        <text
+          key={"y" + row}
+          x={margin - 4}
+          y={row * cellSize + cellSize / 2 + 4}
+          fontSize="10"
+          textAnchor="end"
+        >
+          {v}
+        </text>
+      ))}
+      <text x={width / 2} y={height - 8} fontSize="12" textAnchor="middle">
+        {xAxis.key}
+      </text>
+      <text x={4} y={12} fontSize="12">
+        {yAxis.key}
+      </text>
+    </svg>
+  );
+};
+
+/**
+ * A tool for running a model to completion across a range of values for one
+ * or two of its parameters and plotting how the outbreak changes.
+ *
+ * @param {Object} props
+ * @param {Object} props.model - A diseaseModel.js module.
+ * @param {string} props.modelId - Its key in sims/models.js.
+ * @param {Object} props.parameters - The current parameter values; anything
+ *   not swept is held at these values.
+ * @param {number} props.populationSize
+ * @param {number} props.seed
+ */
+export const SweepPanel = ({
+  model,
+  modelId,
+  parameters,
+  populationSize,
+  seed,
+}) => {
+  const schema = schemaFor(model);
+  const keys = Object.keys(schema).filter(
+    (key) => schema[key].type === "number" || schema[key].type === "integer"
+  );
+  const [axes, setAxes] = useState([defaultAxis(keys[0], parameters, schema)]);
+  const [repeats, setRepeats] = useState(1);
+  const [maxRounds, setMaxRounds] = useState(200);
+  const [metric, setMetric] = useState("peakInfected");
+  const [results, setResults] = useState(null);
+  const job = useJob(); // Sweeps run in the background
+
+  const sweepAxes = axes.map((axis) => ({
+    key: axis.key,
+    values: rangeValues(axis.from, axis.to, axis.step),
+  }));
+  const combinations = sweepAxes.reduce((n, a) => n * a.values.length, 1);
+
+  const updateAxis = (index, changes) => {
+    let newAxes = axes.slice();
+    newAxes[index] = { ...axes[index], ...changes };
+    if (changes.key) {
+      newAxes[index] = defaultAxis(changes.key, parameters, schema);
+    }
+    setAxes(newAxes);
+    setResults(null);
+  };
+
+  const toggleSecondAxis = () => {
+    if (axes.length > 1) {
+      setAxes([axes[0]]);
+    } else {
+      const other = keys.find((k) => k !== axes[0].key);
+      setAxes([axes[0], defaultAxis(other, parameters, schema)]);
+    }
+    setResults(null);
+  };
+
+  const startSweep = async () => {
+    setResults(null);
+    const rows = await job.start("sweep", modelId, {
+      axes: sweepAxes,
+      parameters,
+      populationSize,
+      seed,
+      repeats,
+      maxRounds,
+    });
+    if (rows) {
+      setResults({ axes: sweepAxes, rows });
+    }
+  };
+
+  const renderAxisControls = (axis, index) => (
+    <div key={index}>
+      <label>
+        Sweep:
+        <select
+          value={axis.key}
+          onChange={(e) => updateAxis(index, { key: e.target.value })}
+        >
+          {keys
+            .filter((k) => !axes.some((a, i) => i !== index && a.key === k))
+            .map((k) => (
+              <option key={k} value={k}>
+                {k}
+              </option>
+            ))}
+        </select>
+      </label>
+      <label>
+        From:
+        <input
+          type="number"
+          value={axis.from}
+          onChange={(e) =>
+            updateAxis(index, { from: parseFloat(e.target.value) })
+          }
+        />
+      </label>
+      <label>
+        To:
+        <input
+          type="number"
+          value={axis.to}
+          onChange={(e) => updateAxis(index, { to: parseFloat(e.target.value) })}
+        />
+      </label>
+      <label>
+        Step:
+        <input
+          type="number"
+          value={axis.step}
+          onChange={(e) =>
+            updateAxis(index, { step: parseFloat(e.target.value) })
+          }
+        />
+      </label>
+    </div>
+  );
+
+  const renderResults = () => {
+    if (!results) {
+      return null;
+    }
+    return (
+      <div className="chart-container">
+        <div className="tabs">
+          {sweepMetrics.map((m) => (
+            <button
+              key={m.value}
+              onClick={() => setMetric(m.value)}
+              className={metric === m.value ? "active" : ""}
+            >
+              {m.label}
+            </button>
+          ))}
+        </div>
+        {results.axes.length === 1
+          ? renderLine(results.rows, results.axes[0].key, metric)
+          : renderHeatmap(results.rows, results.axes[0], results.axes[1], metric)}
+      </div>
+    );
+  };
+
+  return (
+    <div className="sweep-panel">
+      <h2>Parameter Sweep</h2>
+      {axes.map(renderAxisControls)}
+      <label>
+        <input
+          type="checkbox"
+          checked={axes.length > 1}
+          onChange={toggleSecondAxis}
+          disabled={keys.length < 2} // Nothing else to sweep against
+        />
+        Sweep a second parameter (heatmap)
+      </label>
+      <label>
+        Runs per point:
+        <input
+          type="number"
+          min="1"
+          value={repeats}
+          onChange={(e) =>
+            setRepeats(Math.max(1, parseInt(e.target.value) || 1))
+          }
+        />
+      </label>
+      <label>
+        Max rounds:
+        <input
+          type="number"
+          min="1"
+          value={maxRounds}
+          onChange={(e) =>
+            setMaxRounds(Math.max(1, parseInt(e.target.value) || 1))
+          }
+        />
+      </label>
+      <p>
+        {combinations} combination{combinations === 1 ? "" : "s"} of{" "}
+        {populationSize} people.
+      </p>
+      <button
+        onClick={startSweep}
+        disabled={job.running || combinations > maxCombinations}
+      >
+        Run Sweep
+      </button>
+      <JobProgress job={job} />
+      {combinations > maxCombinations && (
+        <span className="subset-warning">
+          Too many combinations (max {maxCombinations}): use a bigger step.
+        </span>
+      )}
+      {renderResults()}
+    </div>
+  );
+};
@@ -0,0 +1,230 @@
+import React, { useEffect, useRef, useState } from "react";
+
+const emojiSize = 12; // Below this many pixels per person we draw colored squares instead of emojis
+const minZoom = 1;
+const maxZoom = 50;
+const animationMs = 300; // How long people take to slide to where they moved
+const maxAnimated = 20000; // Bigger samples just jump, to keep the page quick
+
+/**
+ * Draws the population on a <canvas> so we can show every person even in
+ * populations of 100,000 or more (one <div> per person gets very slow after
+ * a thousand or so).
+ *
+ * Each person is drawn with the legend entry glyphFor picks for them: a
+ * colored square when zoomed out, or the entry's emoji once there is room.
+ * Drag to pan, use the mouse wheel to zoom. When people move between rounds
+ * they slide from their old spot to the new one (matched up by id).
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.patients - People with x/y coordinates in 0-100.
+ * @param {number} [props.populationSize] - Size of the whole population, if
+ *   patients is only a sample of it.
+ * @param {Array<{key: string, label: string, emoji: string, color: string}>}
+ *   props.legend - Every way a person can be drawn.
+ * @param {Function} props.glyphFor - Returns the legend key for a person.
+ * @param {number} [props.size=500] - Width and height in pixels.
+ */
+export const WorldCanvas = ({
+  patients,
+  populationSize = patients.length,
+  legend,
+  glyphFor,
+  size = 500,
+}) => {
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+  // Zoom factor plus the world coordinate shown at the top-left corner
+  const [view, setView] = useState({ zoom: 1, x: 0, y: 0 });
+  // For sliding people to their new positions: the patients we showed last
+  // time, where each person started (by id), and how far along we are (0-1)
+  const previousRef = useRef([]);
+  const startsRef = useRef(new Map());
+  const progressRef = useRef(1);
+  const drawRef = useRef(null);
+
+  // Group people by legend entry so each color is set once per frame
+  const groups = {};
+  for (let entry of legend) {
+    groups[entry.key] = [];
+  }
+  for (let p of patients) {
+    const key = glyphFor(p);
+    if (groups[key]) {
+      groups[key].push(p);
+    }
+  }
+
+  // Where to draw a person partway through sliding to their new position
+  const positionOf = (p) => {
+    const start = startsRef.current.get(p.id);
+    const t = progressRef.current;
+    if (!start || t >= 1) {
+      return p;
+    }
+    // Someone who wrapped around the edge or jumped across the map just
+    // appears in their new spot
+    if (Math.abs(p.x - start.x) > 50 || Math.abs(p.y - start.y) > 50) {
+      return p;
+    }
+    return {
+      x: start.x + (p.x - start.x) * t,
+      y: start.y + (p.y - start.y) * t,
+    };
+  };
+
+  const draw = () => {
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext("2d");
+    const scale = (size / 100) * view.zoom; // pixels per world unit
+    // People sit on a grid roughly 100 / sqrt(n) units apart
+    const spacing = 100 / Math.sqrt(Math.max(patients.length, 1));
+    const glyph = Math.max(1, Math.min(spacing * scale * 0.8, 24));
+
+    ctx.clearRect(0, 0, size, size);
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.font = `${glyph}px sans-serif`;
+    for (let entry of legend) {
+      ctx.fillStyle = entry.color;
+      for (let p of groups[entry.key]) {
+        const position = positionOf(p);
+        const px = (position.x - view.x) * scale;
+        const py = (position.y - view.y) * scale;
+        const offScreen =
+          px < -glyph || py < -glyph || px > size + glyph || py > size + glyph;
+        if (offScreen) {
+          continue;
+        }
+        if (glyph >= emojiSize) {
+          ctx.fillText(entry.emoji, px, py);
+        } else {
+          ctx.fillRect(px - glyph / 2, py - glyph / 2, glyph, glyph);
+        }
+      }
+    }
+  };
+  drawRef.current = draw;
+
+  // When a new set of patients arrives, slide everyone from where they were
+  useEffect(() => {
+    const starts = new Map();
+    for (let p of previousRef.current) {
+      starts.set(p.id, { x: p.x, y: p.y });
+    }
+    previousRef.current = patients;
+    startsRef.current = starts;
+    if (patients.length > maxAnimated) {
+      progressRef.current = 1;
+      return;
+    }
+    progressRef.current = 0;
+    let startTime;
+    let frame;
+    const animate = (now) => {
+      if (startTime === undefined) {
+        startTime = now;
+      }
+      progressRef.current = Math.min(1, (now - startTime) / animationMs);
+      drawRef.current(); // The latest draw, so zooming mid-slide still works
+      if (progressRef.current < 1) {
+        frame = requestAnimationFrame(animate);
+      }
+    };
+    frame = requestAnimationFrame(animate);
+    return () => {
+      cancelAnimationFrame(frame);
+      progressRef.current = 1;
+    };
+  }, [patients]);
+
+  // Redraw whenever anything changes (zoom, pan, new patients...)
+  useEffect(draw);
+
+  // Zoom in or out around the mouse pointer. React's onWheel can't stop the
+  // page from scrolling, so we listen for the event ourselves.
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const rect = canvas.getBoundingClientRect();
+      const mouseX = e.clientX - rect.left;
+      const mouseY = e.clientY - rect.top;
+      setView((v) => {
+        const zoom = Math.max(
+          minZoom,
+          Math.min(maxZoom, v.zoom * (e.deltaY < 0 ? 1.2 : 1 / 1.2))
+        );
+        const oldScale = (size / 100) * v.zoom;
+        const newScale = (size / 100) * zoom;
+        return {
+          zoom,
+          x: v.x + mouseX / oldScale - mouseX / newScale,
+          y: v.y + mouseY / oldScale - mouseY / newScale,
+        };
+      });
+    };
+    canvas.addEventListener("wheel", onWheel, { passive: false });
+    return () => canvas.removeEventListener("wheel", onWheel);
+  }, [size]);
+
+  const onMouseDown = (e) => {
+    dragRef.current = { x: e.clientX, y: e.clientY };
+  };
+  const onMouseMove = (e) => {
+    if (!dragRef.current) {
+      return;
+    }
+    const dx = e.clientX - dragRef.current.x;
+    const dy = e.clientY - dragRef.current.y;
+    dragRef.current = { x: e.clientX, y: e.clientY };
+    setView((v) => {
+      const scale = (size / 100) * v.zoom;
+      return { ...v, x: v.x - dx / scale, y: v.y - dy / scale };
+    });
+  };
+  const onMouseUp = () => {
+    dragRef.current = null;
+  };
+
+  const renderSubsetWarning = () => {
+    if (populationSize > patients.length) {
+      return (
+        <div className="subset-warning">
+          Showing a sample of {patients.length} (
+          {((patients.length * 100) / populationSize).toFixed(2)}%) of{" "}
+          {populationSize} patients...
+        </div>
+      );
+    }
+  };
+
+  return (
+    <div className="world-canvas">
+      {renderSubsetWarning()}
+      <canvas
+        ref={canvasRef}
+        width={size}
+        height={size}
+        onMouseDown={onMouseDown}
+        onMouseMove={onMouseMove}
+        onMouseUp={onMouseUp}
+        onMouseLeave={onMouseUp}
+      />
+      <div className="legend">
+        {legend.map((entry) => (
+          <span key={entry.key} className="legend-entry">
+            <span
+              className="legend-swatch"
+              style={{ backgroundColor: entry.color }}
+            />
+            {entry.emoji} {entry.label} ({groups[entry.key].length})
+          </span>
+        ))}
+        <button onClick={() => setView({ zoom: 1, x: 0, y: 0 })}>
+          Reset View
+        </button>
+      </div>
+    </div>
+  );
+};
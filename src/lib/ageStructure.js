@@ -0,0 +1,72 @@
+import { random } from "./random.js";
+
+/*
+ * Helpers for giving people ages.
+ *
+ * An "age pyramid" says what share of the population falls in each age band
+ * -- a young country has a wide base of children, an aging one has lots of
+ * older people. We pick everyone's band from the pyramid and then an age
+ * inside the band.
+ */
+
+// The age bands we report on (80+ is capped at 100 when picking ages)
+export const ageBands = [
+  { key: "0to19", label: "0–19", min: 0, max: 19 },
+  { key: "20to39", label: "20–39", min: 20, max: 39 },
+  { key: "40to59", label: "40–59", min: 40, max: 59 },
+  { key: "60to79", label: "60–79", min: 60, max: 79 },
+  { key: "80plus", label: "80+", min: 80, max: 100 },
+];
+
+// Share of people in each of ageBands, roughly from the UN's World
+// Population Prospects (2019): Niger for "young", the world as a whole for
+// "world" and Japan for "aging".
+export const agePyramids = {
+  young: [0.53, 0.29, 0.13, 0.045, 0.005],
+  world: [0.33, 0.31, 0.23, 0.11, 0.02],
+  aging: [0.17, 0.2, 0.28, 0.26, 0.09],
+};
+
+export const agePyramidOptions = [
+  { label: "Young (e.g. Niger)", value: "young" },
+  { label: "World Average", value: "world" },
+  { label: "Aging (e.g. Japan)", value: "aging" },
+];
+
+/**
+ * Picks a random age from an age pyramid.
+ *
+ * @param {Array<number>} shares - Share of people in each of ageBands (they
+ *   don't have to add up to exactly 1).
+ * @returns {number} A whole number of years.
+ */
+export const sampleAge = (shares) => {
+  let total = 0;
+  for (let share of shares) {
+    total += share;
+  }
+  let pick = random() * total;
+  let band = ageBands.length - 1;
+  for (let i = 0; i < shares.length; i++) {
+    if (pick < shares[i]) {
+      band = i;
+      break;
+    }
+    pick -= shares[i];
+  }
+  const { min, max } = ageBands[band];
+  return min + Math.floor(random() * (max - min + 1));
+};
+
+/**
+ * @param {number} age
+ * @returns {number} The index in ageBands of the band the age falls in.
+ */
+export const ageBandOf = (age) => {
+  for (let i = 0; i < ageBands.length; i++) {
+    if (age <= ageBands[i].max) {
+      return i;
+    }
+  }
+  return ageBands.length - 1;
+};
@@ -0,0 +1,242 @@
+import { runSimulation } from "./runSimulation.js";
+
+/*
+ * Fits model parameters to observed data: we run the model over and over
+ * with different parameter values and keep the values whose results come
+ * closest to the observed counts (by least squares).
+ *
+ * Every run uses the same seeds, so the only thing that changes between runs
+ * is the parameters -- otherwise the search would mostly be chasing luck.
+ */
+
+/**
+ * Sum of squared differences between a stat in diseaseData and the observed
+ * series, over the rounds both have.
+ *
+ * @param {Array<Object>} diseaseData
+ * @param {Array<{round: number, observed: number}>} observedData
+ * @param {string} statKey - e.g. "infected".
+ * @returns {{sse: number, rmse: number, points: number}}
+ */
+export const scoreRun = (diseaseData, observedData, statKey) => {
+  let sse = 0;
+  let points = 0;
+  for (let point of observedData) {
+    const row = diseaseData[point.round];
+    if (row && row[statKey] !== undefined) {
+      const diff = row[statKey] - point.observed;
+      sse += diff * diff;
+      points++;
+    }
+  }
+  return { sse, rmse: points ? Math.sqrt(sse / points) : Infinity, points };
+};
+
+/**
+ * Tries every combination of evenly spaced values across each dimension of
+ * the unit cube and returns the best.
+ *
+ * @param {Function} objective - Takes an array of numbers in [0, 1].
+ * @param {number} dimensions
+ * @param {number} steps - Values to try per dimension.
+ * @returns {{point: Array<number>, value: number}}
+ */
+export const gridSearch = (objective, dimensions, steps) => {
+  let best = { point: null, value: Infinity };
+  const point = new Array(dimensions).fill(0);
+  const visit = (d) => {
+    if (d === dimensions) {
+      const value = objective(point);
+      if (value < best.value) {
+        best = { point: point.slice(), value };
+      }
+      return;
+    }
+    for (let i = 0; i < steps; i++) {
+      point[d] = steps === 1 ? 0.5 : i / (steps - 1);
+      visit(d + 1);
+    }
+  };
+  visit(0);
+  return best;
+};
+
+/**
+ * Nelder-Mead simplex search for the minimum of an objective.
+ *
+ * @param {Function} objective - Takes an array of numbers.
+ * @param {Array<number>} start - Where to start searching.
+ * @param {Object} [options]
+ * @param {number} [options.step=0.2] - Size of the starting simplex.
+ * @param {number} [options.maxIterations=100]
+ * @param {number} [options.tolerance=1e-3] - Stop once every corner of the
+ *   simplex is this close to the best one. (Scores alone aren't a good
+ *   test: a stochastic model can score the same over a whole region.)
+ * @returns {{point: Array<number>, value: number}}
+ */
+export const nelderMead = (
+  objective,
+  start,
+  { step = 0.2, maxIterations = 100, tolerance = 1e-3 } = {}
+) => {
+  const n = start.length;
+  let simplex = [{ point: start.slice(), value: objective(start) }];
+  for (let i = 0; i < n; i++) {
+    const point = start.slice();
+    point[i] += step;
+    simplex.push({ point, value: objective(point) });
+  }
+  const move = (from, toward, amount) =>
+    from.map((x, i) => x + amount * (toward[i] - x));
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    simplex.sort((a, b) => a.value - b.value);
+    const best = simplex[0];
+    const worst = simplex[n];
+    let size = 0;
+    for (let corner of simplex) {
+      for (let d = 0; d < n; d++) {
+        size = Math.max(size, Math.abs(corner.point[d] - best.point[d]));
+      }
+    }
+    if (size <= tolerance) {
+      break;
+    }
+    // Center of every corner except the worst
+    const centroid = new Array(n).fill(0);
+    for (let i = 0; i < n; i++) {
+      for (let d = 0; d < n; d++) {
+        centroid[d] += simplex[i].point[d] / n;
+      }
+    }
+
+    const reflected = move(worst.point, centroid, 2);
+    const reflectedValue = objective(reflected);
+    if (reflectedValue < best.value) {
+      const expanded = move(worst.point, centroid, 3);
+      const expandedValue = objective(expanded);
+      simplex[n] =
+        expandedValue < reflectedValue
+          ? { point: expanded, value: expandedValue }
+          : { point: reflected, value: reflectedValue };
+    } else if (reflectedValue < simplex[n - 1].value) {
+      simplex[n] = { point: reflected, value: reflectedValue };
+    } else {
+      const contracted = move(worst.point, centroid, 0.5);
+      const contractedValue = objective(contracted);
+      if (contractedValue < worst.value) {
+        simplex[n] = { point: contracted, value: contractedValue };
+      } else {
+        // Shrink everything toward the best corner
+        simplex = simplex.map((corner, i) => {
+          if (i === 0) {
+            return corner;
+          }
+          const point = move(best.point, corner.point, 0.5);
+          return { point, value: objective(point) };
+        });
+      }
+    }
+  }
+  simplex.sort((a, b) => a.value - b.value);
+  return simplex[0];
+};
+
+/**
+ * Searches for the parameter values that make a model best reproduce an
+ * observed series.
+ *
+ * @param {Object} model - A diseaseModel.js module.
+ * @param {Object} options
+ * @param {Array<{round: number, observed: number}>} options.observedData
+ * @param {string} options.statKey - The stat to compare, e.g. "infected".
+ * @param {Array<{key: string, min: number, max: number, integer: boolean}>}
+ *   options.fit - The parameters to search over and their ranges.
+ * @param {Object} options.parameters - Values for every other parameter.
+ * @param {number} options.populationSize
+ * @param {number} options.seed
+ * @param {number} [options.repeats=1] - Seeds to average each score over.
+ * @param {string} [options.method="nelderMead"] - "nelderMead" or "grid".
+ * @param {number} [options.gridSteps=5] - Values per parameter for "grid".
+ * @param {number} [options.maxIterations=60] - For "nelderMead".
+ * @param {Function} [options.onProgress] - Called with (guesses tried,
+ *   guesses) after each guess. Nelder–Mead can't tell how many guesses it
+ *   will need, so guesses is null for it.
+ * @returns {{parameters: Object, rmse: number, sse: number,
+ *   evaluations: number}} The best values found (only the fitted keys).
+ */
+export const calibrate = (
+  model,
+  {
+    observedData,
+    statKey,
+    fit,
+    parameters,
+    populationSize,
+    seed,
+    repeats = 1,
+    method = "nelderMead",
+    gridSteps = 5,
+    maxIterations = 60,
+    onProgress,
+  }
+) => {
+  const rounds = Math.max(...observedData.map((p) => p.round)) + 1;
+
+  // The search works on numbers in [0, 1]; turn them into parameter values
+  const toParameters = (point) => {
+    const values = {};
+    fit.forEach((f, i) => {
+      const t = Math.max(0, Math.min(1, point[i]));
+      let value = f.min + t * (f.max - f.min);
+      values[f.key] = f.integer
+        ? Math.round(value)
+        : parseFloat(value.toPrecision(4));
+    });
+    return values;
+  };
+
+  // The grid tries every combination, then we score the best one again
+  const guesses = method === "grid" ? gridSteps ** fit.length + 1 : null;
+  let evaluations = 0;
+  const evaluate = (point) => {
+    evaluations++;
+    const values = toParameters(point);
+    let sse = 0;
+    let rmse = 0;
+    for (let i = 0; i < repeats; i++) {
+      const data = runSimulation(model, {
+        populationSize,
+        rounds,
+        parameters: { ...parameters, ...values },
+        seed: seed + i,
+      });
+      const score = scoreRun(data, observedData, statKey);
+      sse += score.sse / repeats;
+      rmse += score.rmse / repeats;
+    }
+    if (onProgress) {
+      onProgress(evaluations, guesses);
+    }
+    return { sse, rmse };
+  };
+  const objective = (point) => evaluate(point).sse;
+
+  let best;
+  if (method === "grid") {
+    best = gridSearch(objective, fit.length, gridSteps);
+  } else {
+    // Start from the current values
+    const start = fit.map((f) =>
+      f.max > f.min ? (parameters[f.key] - f.min) / (f.max - f.min) : 0.5
+    );
+    best = nelderMead(objective, start, { maxIterations });
+  }
+  const score = evaluate(best.point);
+  return {
+    parameters: toParameters(best.point),
+    sse: score.sse,
+    rmse: score.rmse,
+    evaluations: evaluations - 1,
+  };
+};
@@ -0,0 +1,168 @@
+/*
+ * The classic "compartmental" version of a disease model: instead of
+ * following every person, we only track how many people are in each
+ * compartment -- Susceptible, Exposed, Infected, Recovered -- and let them
+ * flow between compartments at fixed rates:
+ *
+ *   dS/dt = -beta * S * I / N + omega * R
+ *   dE/dt =  beta * S * I / N - sigma * E
+ *   dI/dt =  sigma * E - gamma * I
+ *   dR/dt =  gamma * I - omega * R
+ *
+ * This is the "mean field" approximation of an agent model: it assumes
+ * everyone is equally likely to meet everyone else, and that the time
+ * someone spends in a compartment is random (exponential) rather than a
+ * fixed number of rounds. Comparing its curves with an agent-based run shows
+ * how much those assumptions matter.
+ *
+ * A diseaseModel.js can describe its matching compartmental model by
+ * exporting compartmentalModel = { stats, rates } (see simulationTwo).
+ */
+
+export const compartmentalTypes = [
+  { label: "SIR", value: "SIR" },
+  { label: "SEIR", value: "SEIR" },
+  { label: "SEIRS", value: "SEIRS" },
+];
+
+/**
+ * Advances y by one step of size dt with the classic fourth-order
+ * Runge-Kutta method.
+ *
+ * @param {Function} derivative - (t, y) => dy/dt, both arrays of numbers.
+ * @param {Array<number>} y
+ * @param {number} t
+ * @param {number} dt
+ * @returns {Array<number>} y at time t + dt.
+ */
+export const rk4Step = (derivative, y, t, dt) => {
+  const add = (a, b, scale) => a.map((value, i) => value + b[i] * scale);
+  const k1 = derivative(t, y);
+  const k2 = derivative(t + dt / 2, add(y, k1, dt / 2));
+  const k3 = derivative(t + dt / 2, add(y, k2, dt / 2));
+  const k4 = derivative(t + dt, add(y, k3, dt));
+  return y.map(
+    (value, i) => value + (dt / 6) * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i])
+  );
+};
+
+/**
+ * Integrates an SIR, SEIR or SEIRS model.
+ *
+ * SIR skips the exposed compartment (people are infectious straight away),
+ * SEIR adds it, and SEIRS also lets recovered people lose their immunity.
+ *
+ * @param {Object} options
+ * @param {string} [options.type="SEIRS"] - "SIR", "SEIR" or "SEIRS".
+ * @param {number} options.beta - Infections caused per infected person per
+ *   round, if everyone they met were susceptible.
+ * @param {number} [options.sigma] - Rate exposed people become infectious
+ *   (1 / incubation time).
+ * @param {number} options.gamma - Rate infected people recover
+ *   (1 / recovery time).
+ * @param {number} [options.omega=0] - Rate recovered people lose immunity.
+ * @param {Object} [options.quarantine] - { threshold, factor }: beta is
+ *   multiplied by factor while I / N is at least threshold.
+ * @param {number} options.populationSize
+ * @param {number} [options.initialInfected=1]
+ * @param {number} [options.rounds=100]
+ * @param {number} [options.stepsPerRound=10] - RK4 steps per round.
+ * @returns {Array<{round: number, S: number, E: number, I: number,
+ *   R: number}>} One row per round, from round 0 (the start) to rounds.
+ */
+export const solveCompartmental = ({
+  type = "SEIRS",
+  beta,
+  sigma,
+  gamma,
+  omega = 0,
+  quarantine,
+  populationSize,
+  initialInfected = 1,
+  rounds = 100,
+  stepsPerRound = 10,
+}) => {
+  const N = populationSize;
+  const hasExposed = type !== "SIR";
+  const waning = type === "SEIRS" ? omega : 0;
+
+  const derivative = (t, [S, E, I, R]) => {
+    let contactRate = beta;
+    if (quarantine && I / N >= quarantine.threshold) {
+      contactRate *= quarantine.factor;
+    }
+    const infections = (contactRate * S * I) / N;
+    const becomingInfectious = hasExposed ? sigma * E : 0;
+    const recoveries = gamma * I;
+    const losingImmunity = waning * R;
+    return [
+      -infections + losingImmunity,
+      hasExposed ? infections - becomingInfectious : 0,
+      (hasExposed ? becomingInfectious : infections) - recoveries,
+      recoveries - losingImmunity,
+    ];
+  };
+
+  let y = [N - initialInfected, 0, initialInfected, 0];
+  const dt = 1 / stepsPerRound;
+  const rows = [{ round: 0, S: y[0], E: y[1], I: y[2], R: y[3] }];
+  for (let round = 1; round <= rounds; round++) {
+    for (let step = 0; step < stepsPerRound; step++) {
+      y = rk4Step(derivative, y, round - 1 + step * dt, dt);
+    }
+    rows.push({ round, S: y[0], E: y[1], I: y[2], R: y[3] });
+  }
+  return rows;
+};
+
+/**
+ * Solves a model's compartmental version and names the results after its
+ * stats, so they can be drawn next to an agent-based run.
+ *
+ * Each row holds `<stat>_ode` for every compartment (e.g. infected_ode).
+ * Rows line up with diseaseData: the stats for round r are taken after
+ * r + 1 updates, so row r is the solution at time r + 1.
+ *
+ * @param {Object} compartmentalModel - { stats, rates } from a
+ *   diseaseModel.js: stats maps "S", "E", "I" and "R" to stat keys, and
+ *   rates(parameters, populationSize) returns the options for
+ *   solveCompartmental (beta, sigma, gamma, omega, quarantine).
+ * @param {Object} options
+ * @param {string} options.type - "SIR", "SEIR" or "SEIRS".
+ * @param {Object} options.parameters - The model's simulation parameters.
+ * @param {number} options.populationSize
+ * @param {number} options.rounds
+ * @returns {Array<Object>}
+ */
+export const solveForModel = (
+  compartmentalModel,
+  { type, parameters, populationSize, rounds }
+) => {
+  const solution = solveCompartmental({
+    ...compartmentalModel.rates(parameters, populationSize),
+    type,
+    populationSize,
+    rounds: rounds + 1,
+  });
+  return solution.slice(1).map((row, round) => {
+    const named = { round };
+    for (let compartment of Object.keys(compartmentalModel.stats)) {
+      named[compartmentalModel.stats[compartment] + "_ode"] = row[compartment];
+    }
+    return named;
+  });
+};
+
+/**
+ * Adds the rows from solveForModel to diseaseData, matching them by round.
+ */
+export const mergeSolution = (diseaseData, solution) => {
+  const byRound = new Map();
+  for (let row of solution) {
+    byRound.set(row.round, { ...row });
+  }
+  for (let row of diseaseData) {
+    byRound.set(row.round, { ...byRound.get(row.round), ...row });
+  }
+  return [...byRound.values()].sort((a, b) => a.round - b.round);
+};
@@ -0,0 +1,169 @@
+import { random } from "./random.js";
+
+/*
+ * Contact networks: who can meet (and infect) whom.
+ *
+ * A network is stored as an adjacency list -- an array with one entry per
+ * person, listing the array positions of that person's contacts. Every
+ * builder uses our seeded random stream, so the same seed always builds the
+ * same network.
+ */
+
+export const networkTypes = [
+  { label: "Ring Lattice", value: "ring" },
+  { label: "Erdős–Rényi Random", value: "erdosRenyi" },
+  { label: "Watts–Strogatz Small World", value: "wattsStrogatz" },
+  { label: "Barabási–Albert Scale-Free", value: "barabasiAlbert" },
+];
+
+// A random whole number from 0 up to (but not including) n
+const randomIndex = (n) => Math.floor(random() * n);
+
+// Turns an array of Sets into an array of arrays
+const toLists = (sets) => sets.map((set) => [...set]);
+
+/**
+ * Everyone in a circle, connected to the k nearest people: k / 2 on each
+ * side. Contacts are listed nearest first, next person before previous.
+ *
+ * @param {number} size
+ * @param {number} k - Contacts per person (rounded down to an even number).
+ * @returns {Array<Array<number>>}
+ */
+export const ringLattice = (size, k) => {
+  const half = Math.min(Math.floor(k / 2), Math.floor((size - 1) / 2));
+  const network = [];
+  for (let i = 0; i < size; i++) {
+    const contacts = [];
+    for (let d = 1; d <= half; d++) {
+      contacts.push((i + d) % size);
+      contacts.push((i - d + size) % size);
+    }
+    network.push(contacts);
+  }
+  return network;
+};
+
+/**
+ * Connections placed completely at random: we add averageDegree * size / 2
+ * edges between random pairs of different people (skipping repeats).
+ *
+ * @param {number} size
+ * @param {number} averageDegree - Average contacts per person.
+ * @returns {Array<Array<number>>}
+ */
+export const erdosRenyi = (size, averageDegree) => {
+  const sets = Array.from({ length: size }, () => new Set());
+  const maxEdges = (size * (size - 1)) / 2;
+  const edges = Math.min(Math.round((averageDegree * size) / 2), maxEdges);
+  let added = 0;
+  while (added < edges) {
+    const a = randomIndex(size);
+    const b = randomIndex(size);
+    if (a !== b && !sets[a].has(b)) {
+      sets[a].add(b);
+      sets[b].add(a);
+      added++;
+    }
+  }
+  return toLists(sets);
+};
+
+/**
+ * A ring lattice where each connection is moved, with probability
+ * rewireProbability, to a random person instead. A few of these shortcuts
+ * make the whole network "small": anyone can reach anyone in a few steps.
+ *
+ * @param {number} size
+ * @param {number} k - Contacts per person before rewiring.
+ * @param {number} rewireProbability - From 0 (a ring) to 1 (random).
+ * @returns {Array<Array<number>>}
+ */
+export const wattsStrogatz = (size, k, rewireProbability) => {
+  const sets = ringLattice(size, k).map((contacts) => new Set(contacts));
+  const half = Math.min(Math.floor(k / 2), Math.floor((size - 1) / 2));
+  for (let d = 1; d <= half; d++) {
+    for (let i = 0; i < size; i++) {
+      const j = (i + d) % size;
+      if (random() < rewireProbability && sets[i].size < size - 1) {
+        let other = randomIndex(size);
+        while (other === i || sets[i].has(other)) {
+          other = randomIndex(size);
+        }
+        sets[i].delete(j);
+        sets[j].delete(i);
+        sets[i].add(other);
+        sets[other].add(i);
+      }
+    }
+  }
+  return toLists(sets);
+};
+
+/**
+ * Grows a network one person at a time; each newcomer connects to m people
+ * already there, preferring those who have lots of contacts already. The
+ * result has a few "hubs" with many more contacts than everyone else.
+ *
+ * @param {number} size
+ * @param {number} m - Contacts each newcomer makes.
+ * @returns {Array<Array<number>>}
+ */
+export const barabasiAlbert = (size, m) => {
+  m = Math.max(1, Math.min(m, size - 1));
+  const sets = Array.from({ length: size }, () => new Set());
+  // Each person appears here once per contact they have, so picking from it
+  // at random favors people with more contacts.
+  const ends = [];
+  const connect = (a, b) => {
+    sets[a].add(b);
+    sets[b].add(a);
+    ends.push(a, b);
+  };
+  // Start with m + 1 people who all know each other
+  for (let a = 0; a <= m && a < size; a++) {
+    for (let b = 0; b < a; b++) {
+      connect(a, b);
+    }
+  }
+  for (let newcomer = m + 1; newcomer < size; newcomer++) {
+    const chosen = new Set();
+    while (chosen.size < m) {
+      chosen.add(ends[randomIndex(ends.length)]);
+    }
+    for (let other of chosen) {
+      connect(newcomer, other);
+    }
+  }
+  return toLists(sets);
+};
+
+/**
+ * Builds a network of the given type.
+ *
+ * @param {string} type - One of the values in networkTypes.
+ * @param {number} size - Number of people.
+ * @param {Object} options
+ * @param {number} [options.k=2] - Contacts per person for "ring" and
+ *   "wattsStrogatz".
+ * @param {number} [options.rewireProbability=0.1] - For "wattsStrogatz".
+ * @param {number} [options.averageDegree=4] - For "erdosRenyi".
+ * @param {number} [options.m=2] - For "barabasiAlbert".
+ * @returns {Array<Array<number>>} The contacts of each person.
+ */
+export const buildNetwork = (
+  type,
+  size,
+  { k = 2, rewireProbability = 0.1, averageDegree = 4, m = 2 } = {}
+) => {
+  if (type === "erdosRenyi") {
+    return erdosRenyi(size, averageDegree);
+  } else if (type === "wattsStrogatz") {
+    return wattsStrogatz(size, k, rewireProbability);
+  } else if (type === "barabasiAlbert") {
+    return barabasiAlbert(size, m);
+  } else if (type === "ring") {
+    return ringLattice(size, k);
+  }
+  throw new Error(`Unknown network type "${type}"`);
+};
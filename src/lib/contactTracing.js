@@ -0,0 +1,109 @@
+import { random } from "./random.js";
+
+/*
+ * Contact tracing: when someone is found to be sick, find the people they
+ * met recently and ask them to isolate before they can pass it on.
+ *
+ * People remember who they were near, and when (recentContacts maps a
+ * contact's position in the population array to the last round they met).
+ * A detected case is traced `delay` rounds after they are found -- the time
+ * it takes to get a test result and phone everyone -- so with a delay of 0
+ * they are traced in the same round, and with a delay of d they and their
+ * contacts mix for d more rounds first. Then:
+ *   - the case isolates,
+ *   - each contact from the last `window` rounds is reached with chance
+ *     `successRate` and isolates too; the rest are missed.
+ * Isolation lasts `isolationTime` rounds.
+ *
+ * Everything is stored on the people themselves (recentContacts,
+ * traceRound, isolated, daysIsolated, timesTraced, timesMissed), so the
+ * same seed always traces the same people.
+ */
+
+/**
+ * Remembers that two people met this round.
+ *
+ * @param {Object} person
+ * @param {number} contactIndex - The contact's position in the population.
+ * @param {number} round
+ */
+export const recordContact = (person, contactIndex, round) => {
+  person.recentContacts[contactIndex] = round;
+};
+
+/**
+ * Marks a person as found (e.g. they showed symptoms and got tested), so
+ * their contacts get traced after the delay.
+ *
+ * @param {Object} person
+ * @param {number} round
+ * @param {number} delay - Rounds before tracing happens.
+ */
+export const detectCase = (person, round, delay) => {
+  if (person.traceRound === null) {
+    person.traceRound = round + delay;
+  }
+};
+
+const isolate = (person) => {
+  person.isolated = true;
+  person.daysIsolated = 0;
+};
+
+/**
+ * Runs one round of contact tracing: counts down isolation, forgets old
+ * contacts, and traces every case whose delay is up.
+ *
+ * Call it at the end of a round, after detectCase, so a case whose delay is
+ * 0 is traced in the round they were found.
+ *
+ * @param {Array<Object>} population
+ * @param {Object} options
+ * @param {number} options.successRate - Chance each contact is reached.
+ * @param {number} options.window - Rounds of contacts that are traced.
+ * @param {number} options.isolationTime - Rounds people stay isolated.
+ * @param {number} round
+ */
+export const traceContacts = (
+  population,
+  { successRate, window, isolationTime },
+  round
+) => {
+  for (let p of population) {
+    if (p.isolated) {
+      p.daysIsolated += 1;
+      if (p.daysIsolated >= isolationTime) {
+        p.isolated = false;
+        p.daysIsolated = 0;
+      }
+    }
+    for (let index of Object.keys(p.recentContacts)) {
+      if (round - p.recentContacts[index] > window) {
+        delete p.recentContacts[index];
+      }
+    }
+  }
+
+  for (let p of population) {
+    if (p.traceRound === null || p.traceRound > round) {
+      continue;
+    }
+    p.traceRound = null;
+    if (p.state === "deceased") {
+      continue;
+    }
+    isolate(p);
+    for (let index of Object.keys(p.recentContacts)) {
+      let contact = population[index];
+      if (contact.state === "deceased") {
+        continue;
+      }
+      if (random() < successRate) {
+        isolate(contact);
+        contact.timesTraced += 1;
+      } else {
+        contact.timesMissed += 1;
+      }
+    }
+  }
+};
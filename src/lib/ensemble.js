@@ -0,0 +1,89 @@
+import { runSimulation } from "./runSimulation.js";
+
+/**
+ * Returns the value below which the given fraction of the (sorted) values
+ * fall, interpolating between neighbors.
+ *
+ * @param {Array<number>} sorted - Values sorted from smallest to largest.
+ * @param {number} fraction - e.g. 0.05 for the 5th percentile.
+ * @returns {number}
+ */
+export const percentile = (sorted, fraction) => {
+  if (sorted.length === 0) {
+    return undefined;
+  }
+  const position = (sorted.length - 1) * fraction;
+  const below = Math.floor(position);
+  const above = Math.ceil(position);
+  return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+};
+
+/**
+ * Combines several runs of the same model into one row per round.
+ *
+ * For every stat key we report the median (under the stat's own name, so the
+ * result can be charted just like ordinary diseaseData) plus
+ * `<key>_p5`, `<key>_p95`, `<key>_mean` and `<key>_sd`.
+ *
+ * @param {Array<Array<Object>>} runs - One diseaseData array per run.
+ * @param {Array<string>} keys - The stat keys to summarize.
+ * @returns {Array<Object>} One summary row per round.
+ */
+export const summarizeRuns = (runs, keys) => {
+  const rounds = Math.min(...runs.map((run) => run.length));
+  const summary = [];
+  for (let round = 0; round < rounds; round++) {
+    const row = { round };
+    for (let key of keys) {
+      const values = runs
+        .map((run) => run[round][key])
+        .sort((a, b) => a - b);
+      const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+      const variance =
+        values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) /
+        values.length;
+      row[key] = percentile(values, 0.5);
+      row[key + "_p5"] = percentile(values, 0.05);
+      row[key + "_p95"] = percentile(values, 0.95);
+      row[key + "_mean"] = mean;
+      row[key + "_sd"] = Math.sqrt(variance);
+    }
+    summary.push(row);
+  }
+  return summary;
+};
+
+/**
+ * Runs a model several times with the same parameters and summarizes the
+ * spread of every tracked stat.
+ *
+ * Run number i uses seed + i, so the first run is exactly the run you'd get
+ * on screen by resetting with the same seed.
+ *
+ * @param {Object} model - A diseaseModel.js module.
+ * @param {Object} options - Everything runSimulation takes, plus:
+ * @param {number} [options.runs=20] - How many runs to do (at least 1).
+ * @param {number} [options.rounds=100] - Rounds per run (at least 1).
+ * @param {Function} [options.onProgress] - Called with (runs done, runs)
+ *   after each run.
+ * @returns {Array<Object>} Summary rows (see summarizeRuns).
+ */
+export const runEnsemble = (
+  model,
+  { runs = 20, rounds = 100, seed = 0, onProgress, ...options } = {}
+) => {
+  // With no runs (or no rounds) there would be nothing to summarize
+  const runCount = Math.max(1, Math.floor(runs));
+  const roundCount = Math.max(1, Math.floor(rounds));
+  const results = [];
+  for (let i = 0; i < runCount; i++) {
+    results.push(
+      runSimulation(model, { ...options, rounds: roundCount, seed: seed + i })
+    );
+    if (onProgress) {
+      onProgress(i + 1, runCount);
+    }
+  }
+  const keys = model.trackedStats.map((stat) => stat.value);
+  return summarizeRuns(results, keys);
+};
@@ -0,0 +1,61 @@
+import Papa from "papaparse";
+
+/*
+ * Turns a run's diseaseData into CSV or JSON for analysis outside the app.
+ *
+ * Both formats start with the information needed to re-run the simulation:
+ * { model, populationSize, seed, parameters }. In CSV it's a block of lines
+ * starting with "#" (papaparse can skip them with { comments: "#" }); in JSON
+ * it sits next to the data.
+ */
+
+// Every column in any row, with round first
+const columnsOf = (diseaseData) => {
+  const columns = ["round"];
+  for (let row of diseaseData) {
+    for (let key of Object.keys(row)) {
+      if (!columns.includes(key)) {
+        columns.push(key);
+      }
+    }
+  }
+  return columns;
+};
+
+/**
+ * @param {Array<Object>} diseaseData - One computeStatistics row per round.
+ * @param {{model: string, populationSize: number, seed: number,
+ *   parameters: Object}} metadata
+ * @returns {string} CSV text with a "#" metadata header.
+ */
+export const toCsv = (diseaseData, metadata) => {
+  const header = Object.keys(metadata).map(
+    (key) => `# ${key}: ${JSON.stringify(metadata[key])}`
+  );
+  const body = Papa.unparse(diseaseData, { columns: columnsOf(diseaseData) });
+  return header.join("\n") + "\n" + body;
+};
+
+/**
+ * @param {Array<Object>} diseaseData - One computeStatistics row per round.
+ * @param {Object} metadata - See toCsv.
+ * @returns {string} JSON text: the metadata plus a `data` array.
+ */
+export const toJson = (diseaseData, metadata) =>
+  JSON.stringify({ ...metadata, data: diseaseData }, null, 2);
+
+/**
+ * Makes the browser download some text as a file.
+ *
+ * @param {string} filename
+ * @param {string} text
+ * @param {string} type - MIME type, e.g. "text/csv".
+ */
+export const downloadFile = (filename, text, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
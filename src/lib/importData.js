@@ -0,0 +1,109 @@
+import Papa from "papaparse";
+
+/*
+ * Loads real-world case counts from a CSV file so they can be drawn next to
+ * a simulation (see public/data for the kind of file we expect: one header
+ * row, then one row per observation).
+ */
+
+/**
+ * Reads a CSV file chosen with <input type="file">.
+ *
+ * @param {File} file
+ * @returns {Promise<{columns: Array<string>, rows: Array<Object>}>}
+ */
+export const parseCsvFile = (file) =>
+  new Promise((resolve, reject) => {
+    Papa.parse(file, {
+      header: true,
+      dynamicTyping: true,
+      skipEmptyLines: true,
+      comments: "#",
+      complete: (results) =>
+        resolve({ columns: results.meta.fields, rows: results.data }),
+      error: reject,
+    });
+  });
+
+const msPerDay = 24 * 60 * 60 * 1000;
+
+/**
+ * Turns rows of a CSV into a series we can chart against the simulation.
+ *
+ * The round column can hold round numbers (0, 1, 2...) or dates; dates are
+ * counted as days since the first date in the file, so one round is one day.
+ * Rows without a count, or with a date we can't read, are skipped.
+ *
+ * @param {Array<Object>} rows - Rows from parseCsvFile.
+ * @param {Object} options
+ * @param {string} options.roundColumn - Column with the round or date.
+ * @param {string} options.countColumn - Column with the case count.
+ * @param {boolean} [options.perThousand] - If true the counts are per 1,000
+ *   people and get scaled up to the simulated population.
+ * @param {number} [options.populationSize] - Needed when perThousand is set.
+ * @returns {Array<{round: number, observed: number}>} Sorted by round.
+ * @throws {Error} If none of the rows can be used.
+ */
+export const toObservedSeries = (
+  rows,
+  { roundColumn, countColumn, perThousand = false, populationSize = 1000 }
+) => {
+  const usable = rows.filter(
+    (row) =>
+      row[roundColumn] !== null &&
+      row[roundColumn] !== undefined &&
+      typeof row[countColumn] === "number"
+  );
+  const usesDates = usable.some((row) => typeof row[roundColumn] !== "number");
+  let firstDate = Infinity;
+  if (usesDates) {
+    for (let row of usable) {
+      const time = Date.parse(row[roundColumn]);
+      // One unreadable date would make every round NaN, so leave it out
+      if (!isNaN(time)) {
+        firstDate = Math.min(firstDate, time);
+      }
+    }
+  }
+  const scale = perThousand ? populationSize / 1000 : 1;
+
+  const series = [];
+  for (let row of usable) {
+    let round = row[roundColumn];
+    if (usesDates) {
+      round = Math.round((Date.parse(row[roundColumn]) - firstDate) / msPerDay);
+    }
+    if (!isNaN(round)) {
+      series.push({ round, observed: row[countColumn] * scale });
+    }
+  }
+  if (series.length === 0) {
+    throw new Error(
+      `No rows have both a ${usesDates ? "readable date" : "round"} in ` +
+        `"${roundColumn}" and a number in "${countColumn}".`
+    );
+  }
+  return series.sort((a, b) => a.round - b.round);
+};
+
+/**
+ * Adds an `observed` value to the diseaseData row for the same round (adding
+ * rows where the observed data runs past the simulation) so both can be
+ * drawn on one chart.
+ *
+ * @param {Array<Object>} diseaseData
+ * @param {Array<{round: number, observed: number}>} observedData
+ * @returns {Array<Object>} A new array sorted by round.
+ */
+export const mergeObserved = (diseaseData, observedData) => {
+  const byRound = new Map();
+  for (let row of diseaseData) {
+    byRound.set(row.round, { ...row });
+  }
+  for (let point of observedData) {
+    const row = byRound.get(point.round) || { round: point.round };
+    row.observed = point.observed;
+    byRound.set(point.round, row);
+  }
+  return [...byRound.values()].sort((a, b) => a.round - b.round);
+};
@@ -0,0 +1,102 @@
+import { useEffect, useRef, useState } from "react";
+
+/**
+ * Runs a long job (see lib/jobWorker.js) in its own Web Worker.
+ *
+ * @param {string} type - The kind of job, e.g. "ensemble".
+ * @param {string} modelId - A key of diseaseModels in sims/models.js.
+ * @param {Object} options - Passed on to the job's function.
+ * @param {Function} onProgress - Called with (done, total) as it goes.
+ * @returns {{promise: Promise, cancel: Function}} The promise resolves with
+ *   the job's result, or with null if it was cancelled, and rejects if the
+ *   model throws.
+ */
+export const runJob = (type, modelId, options, onProgress) => {
+  const worker = new Worker(new URL("./jobWorker.js", import.meta.url), {
+    type: "module",
+  });
+  let finish;
+  const promise = new Promise((resolve, reject) => {
+    finish = resolve;
+    worker.onmessage = (e) => {
+      if (e.data.type === "progress") {
+        onProgress(e.data.done, e.data.total);
+        return;
+      }
+      worker.terminate();
+      if (e.data.type === "error") {
+        reject(new Error(e.data.message));
+      } else {
+        resolve(e.data.result);
+      }
+    };
+    worker.onerror = (e) => {
+      e.preventDefault();
+      worker.terminate();
+      reject(new Error(e.message || "The job stopped unexpectedly"));
+    };
+  });
+  worker.postMessage({ type, modelId, options });
+  return {
+    promise,
+    cancel: () => {
+      worker.terminate();
+      finish(null);
+    },
+  };
+};
+
+/**
+ * Keeps track of one job at a time for a component: starting a new one
+ * cancels the last, and leaving the page cancels whatever is running.
+ *
+ * @returns {{running: boolean, progress: ?{done: number, total: ?number},
+ *   error: ?string, start: Function, cancel: Function}} start(type,
+ *   modelId, options) resolves with the result, or null if the job was
+ *   cancelled or failed (the error message is then in `error`).
+ */
+export const useJob = () => {
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const current = useRef(null);
+
+  useEffect(
+    () => () => {
+      if (current.current) {
+        current.current.cancel();
+      }
+    },
+    []
+  );
+
+  const start = async (type, modelId, options) => {
+    if (current.current) {
+      current.current.cancel();
+    }
+    const job = runJob(type, modelId, options, (done, total) =>
+      setProgress({ done, total })
+    );
+    current.current = job;
+    setProgress({ done: 0, total: null });
+    setError(null);
+    try {
+      return await job.promise;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      if (current.current === job) {
+        current.current = null;
+        setProgress(null);
+      }
+    }
+  };
+
+  const cancel = () => {
+    if (current.current) {
+      current.current.cancel();
+    }
+  };
+
+  return { running: progress !== null, progress, error, start, cancel };
+};
@@ -0,0 +1,35 @@
+/*
+ * A Web Worker for the long jobs that run a model many times over (an
+ * ensemble, a parameter sweep or a calibration), so the page stays responsive while they run.
+ *
+ * Talk to it through runJob in lib/jobClient.js. It gets one message,
+ *   { type, modelId, options }
+ * where type is a key of `jobs` below, and replies with
+ *   { type: "progress", done, total } as it goes (total may be null), then
+ *   { type: "done", result } or { type: "error", message }.
+ * Each job gets a fresh worker, so cancelling is just terminating it.
+ */
+import { diseaseModels } from "../sims/models.js";
+import { runEnsemble } from "./ensemble.js";
+import { calibrate } from "./calibrate.js";
+import { runSweep } from "./sweep.js";
+
+const jobs = {
+  ensemble: runEnsemble,
+  sweep: runSweep,
+  calibrate,
+};
+
+self.onmessage = (e) => {
+  const { type, modelId, options } = e.data;
+  try {
+    const result = jobs[type](diseaseModels[modelId], {
+      ...options,
+      onProgress: (done, total) =>
+        self.postMessage({ type: "progress", done, total }),
+    });
+    self.postMessage({ type: "done", result });
+  } catch (err) {
+    self.postMessage({ type: "error", message: String(err) });
+  }
+};
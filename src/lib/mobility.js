@@ -0,0 +1,138 @@
+import { random } from "./random.js";
+
+/*
+ * Moves people around the 100 x 100 world each round.
+ *
+ * Everyone follows the same movement pattern:
+ *   - "none": stay put
+ *   - "randomWalk": take a step of the given speed in a random direction
+ *   - "commute": travel back and forth between a home point (where they
+ *     started) and a work point (picked at random the first time they move)
+ * and on top of that anyone can, now and then, make a long-range jump (a
+ * trip to another town).
+ *
+ * Positions and the home/work points are stored on each person (x, y,
+ * homeX, homeY, workX, workY), so the same seed always gives the same moves.
+ */
+
+export const movementTypes = [
+  { label: "Stay Put", value: "none" },
+  { label: "Random Walk", value: "randomWalk" },
+  { label: "Commute Home ↔ Work", value: "commute" },
+];
+
+export const boundaryTypes = [
+  { label: "Bounce off the edges", value: "bounce" },
+  { label: "Wrap around", value: "wrap" },
+];
+
+const worldSize = 100;
+
+// Keeps a coordinate inside the world
+const applyBoundary = (value, boundary) => {
+  if (boundary === "wrap") {
+    return ((value % worldSize) + worldSize) % worldSize;
+  }
+  // Bounce: reflect back in from whichever edge we went past
+  if (value < 0) {
+    value = -value;
+  }
+  if (value > worldSize) {
+    value = 2 * worldSize - value;
+  }
+  return Math.max(0, Math.min(worldSize, value));
+};
+
+// Moves a person up to distance units toward (x, y)
+const moveToward = (person, x, y, distance) => {
+  const dx = x - person.x;
+  const dy = y - person.y;
+  const gap = Math.sqrt(dx * dx + dy * dy);
+  if (gap <= distance) {
+    person.x = x;
+    person.y = y;
+  } else {
+    person.x += (dx / gap) * distance;
+    person.y += (dy / gap) * distance;
+  }
+};
+
+/**
+ * Moves one person for one round.
+ *
+ * @param {Object} person - Has x and y; home and work points are added the
+ *   first time they are needed.
+ * @param {Object} options - See movePopulation.
+ * @param {number} round
+ */
+export const movePerson = (
+  person,
+  {
+    movement = "none",
+    speed = 1,
+    boundary = "bounce",
+    commutePeriod = 10,
+    jumpProbability = 0,
+    jumpDistance = 50,
+  },
+  round
+) => {
+  if (person.homeX === undefined) {
+    person.homeX = person.x;
+    person.homeY = person.y;
+  }
+
+  if (movement === "randomWalk") {
+    const angle = random() * 2 * Math.PI;
+    person.x = applyBoundary(person.x + Math.cos(angle) * speed, boundary);
+    person.y = applyBoundary(person.y + Math.sin(angle) * speed, boundary);
+  } else if (movement === "commute") {
+    if (person.workX === undefined) {
+      person.workX = random() * worldSize;
+      person.workY = random() * worldSize;
+    }
+    // First half of each period heading to work, second half heading home
+    const atWork = round % commutePeriod < commutePeriod / 2;
+    if (atWork) {
+      moveToward(person, person.workX, person.workY, speed);
+    } else {
+      moveToward(person, person.homeX, person.homeY, speed);
+    }
+  }
+
+  if (jumpProbability > 0 && random() < jumpProbability) {
+    const angle = random() * 2 * Math.PI;
+    const distance = random() * jumpDistance;
+    person.x = applyBoundary(person.x + Math.cos(angle) * distance, boundary);
+    person.y = applyBoundary(person.y + Math.sin(angle) * distance, boundary);
+  }
+};
+
+/**
+ * Moves everyone for one round, except people who shouldn't move (e.g.
+ * people in quarantine).
+ *
+ * @param {Array<Object>} population
+ * @param {Object} options
+ * @param {string} [options.movement="none"] - One of movementTypes.
+ * @param {number} [options.speed=1] - Distance walked per round.
+ * @param {string} [options.boundary="bounce"] - One of boundaryTypes.
+ * @param {number} [options.commutePeriod=10] - Rounds for a trip to work and
+ *   back.
+ * @param {number} [options.jumpProbability=0] - Chance per round of a long
+ *   jump.
+ * @param {number} [options.jumpDistance=50] - Longest possible jump.
+ * @param {number} round - The current round (used for commuting).
+ * @param {Function} [staysPut] - Return true for people who can't move.
+ */
+export const movePopulation = (population, options, round, staysPut) => {
+  if (options.movement === "none" && !(options.jumpProbability > 0)) {
+    return; // Nobody moves, so don't use up any random numbers
+  }
+  for (let person of population) {
+    if (staysPut && staysPut(person)) {
+      continue;
+    }
+    movePerson(person, options, round);
+  }
+};
@@ -0,0 +1,108 @@
+/*
+ * Helpers for the parameterSchema a diseaseModel.js can export next to its
+ * defaultSimulationParameters. The schema describes each parameter so the
+ * page can build (and check) its controls automatically:
+ *
+ *   export const parameterSchema = {
+ *     infectionRate: {
+ *       label: "Infection Rate",
+ *       type: "number",        // "number", "integer", "boolean" or "select"
+ *       min: 0,
+ *       max: 1,
+ *       step: 0.01,
+ *       unit: "",              // shown after the value, e.g. "%" or "rounds"
+ *       description: "Base chance of transmission per contact",
+ *     },
+ *   };
+ *
+ * A "select" parameter lists its choices as options: [{ label, value }].
+ *
+ * Add setup: true to a parameter that createPopulation uses and
+ * updatePopulation doesn't (e.g. the age pyramid): it only changes anything
+ * when a new population is built.
+ */
+
+/**
+ * The schema for every parameter of a model. Parameters the model's schema
+ * doesn't mention get a plain entry guessed from their default value.
+ *
+ * @param {Object} model - A diseaseModel.js module.
+ * @returns {Object} A spec for every key of defaultSimulationParameters.
+ */
+export const schemaFor = (model) => {
+  const schema = {};
+  const given = model.parameterSchema || {};
+  for (let key of Object.keys(model.defaultSimulationParameters)) {
+    const value = model.defaultSimulationParameters[key];
+    let type = "number";
+    if (typeof value === "boolean") {
+      type = "boolean";
+    } else if (Number.isInteger(value)) {
+      type = "integer";
+    }
+    schema[key] = { label: key, type, ...given[key] };
+  }
+  return schema;
+};
+
+/**
+ * @param {*} value - A value for the parameter.
+ * @param {Object} spec - The parameter's schema entry.
+ * @returns {string|null} What is wrong with the value, or null if it's fine.
+ */
+export const validateParameter = (value, spec) => {
+  if (spec.type === "boolean") {
+    return typeof value === "boolean" ? null : "Must be on or off";
+  }
+  if (spec.type === "select") {
+    return spec.options.some((o) => o.value === value)
+      ? null
+      : "Pick one of the options";
+  }
+  if (typeof value !== "number" || isNaN(value)) {
+    return "Must be a number";
+  }
+  if (spec.type === "integer" && !Number.isInteger(value)) {
+    return "Must be a whole number";
+  }
+  if (spec.min !== undefined && value < spec.min) {
+    return `Must be at least ${spec.min}`;
+  }
+  if (spec.max !== undefined && value > spec.max) {
+    return `Must be at most ${spec.max}`;
+  }
+  return null;
+};
+
+/**
+ * Turns what the user typed into a value of the right type (which may still
+ * fail validateParameter).
+ *
+ * @param {string} text
+ * @param {Object} spec
+ */
+export const parseParameter = (text, spec) => {
+  if (spec.type === "integer" || spec.type === "number") {
+    return text.trim() === "" ? NaN : Number(text);
+  }
+  if (spec.type === "select") {
+    const option = spec.options.find((o) => String(o.value) === text);
+    return option ? option.value : text;
+  }
+  return text;
+};
+
+/**
+ * A sensible range to try a number parameter over (in a sweep, or when
+ * fitting it to data): its range in the schema, or else from 0 to twice its
+ * current value.
+ *
+ * @param {Object} spec - The parameter's schema entry.
+ * @param {number} value - Its current value.
+ * @returns {{min: number, max: number, integer: boolean}}
+ */
+export const defaultRangeFor = (spec, value) => ({
+  min: spec.min ?? 0,
+  max: spec.max ?? (value > 0 ? value * 2 : 1),
+  integer: spec.type === "integer",
+});
@@ -0,0 +1,29 @@
+/*
+ * Some models keep other agents in the population array next to the people
+ * -- the malaria model's mosquitoes, for example. Those agents have a `kind`
+ * other than "human". Anything that counts people (attack sizes, the
+ * population shown on the page, "per 1,000 people" numbers) should skip
+ * them.
+ */
+
+/**
+ * @param {Object} agent
+ * @returns {boolean} True for people: agents without a kind, or of kind
+ *   "human".
+ */
+export const isPerson = (agent) =>
+  agent.kind === undefined || agent.kind === "human";
+
+/**
+ * @param {Array<Object>} population
+ * @returns {number} How many of the agents are people.
+ */
+export const countPeople = (population) => {
+  let count = 0;
+  for (let agent of population) {
+    if (isPerson(agent)) {
+      count++;
+    }
+  }
+  return count;
+};
@@ -0,0 +1,66 @@
+/*
+ * A small seedable random number generator (mulberry32) that every disease
+ * model draws from instead of Math.random().
+ *
+ * Math.random() can't be seeded, so no two runs of a model are ever the same.
+ * If every call goes through random() instead, then seeding with the same
+ * number and running the same number of turns replays exactly the same
+ * outbreak -- handy when a whole class wants to talk about one run.
+ */
+
+let currentSeed = 0;
+let state = 0;
+
+/**
+ * Restarts the random stream from the given seed.
+ *
+ * @param {number} seed - Any number; it is converted to a 32-bit integer.
+ */
+export const seedRandom = (seed) => {
+  currentSeed = Number(seed) >>> 0;
+  state = currentSeed;
+};
+
+/**
+ * @returns {number} The seed the stream was last restarted from.
+ */
+export const getSeed = () => currentSeed;
+
+/**
+ * Drop-in replacement for Math.random().
+ *
+ * @returns {number} A pseudo-random number in [0, 1).
+ */
+export const random = () => {
+  state = (state + 0x6d2b79f5) | 0;
+  let t = state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+/**
+ * Saves the position in the stream so it can be picked up again later with
+ * setRandomState (e.g. to run something else in between without disturbing
+ * the current run).
+ *
+ * @returns {number} The internal generator state.
+ */
+export const getRandomState = () => state;
+
+/**
+ * @param {number} newState - A value previously returned by getRandomState.
+ */
+export const setRandomState = (newState) => {
+  state = newState | 0;
+};
+
+/**
+ * Picks a fresh, human-friendly seed (it is *not* drawn from the seeded
+ * stream, so a new seed is always actually new).
+ *
+ * @returns {number} An integer between 0 and 999999.
+ */
+export const makeSeed = () => Math.floor(Math.random() * 1000000);
+
+seedRandom(makeSeed());
@@ -1,6 +1,267 @@
 import React from "react";
-import { LineChart, YAxis, XAxis, Line } from "recharts";
+import {
+  LineChart,
+  AreaChart,
+  ComposedChart,
+  YAxis,
+  XAxis,
+  Line,
+  Area,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+} from "recharts";
+import { mergeObserved } from "./importData";
+import { mergeSolution } from "./compartmentalModel";
 
+// Colors for stats that don't pick their own (a stat in trackedStats can
+// have a color, e.g. { label: "Exposed", value: "exposed", color: "#ff9800" })
+const palette = [
+  "#f44336",
+  "#4caf50",
+  "#ff9800",
+  "#9c27b0",
+  "#795548",
+  "#00bcd4",
+  "#607d8b",
+];
+
+const chartModes = [
+  { label: "One Line", value: "single" },
+  { label: "Several Lines", value: "multi" },
+  { label: "Stacked", value: "stacked" },
+];
+
+const colorFor = (options, value) => {
+  const index = options.findIndex((o) => o.value === value);
+  const option = options[index];
+  return (option && option.color) || palette[index % palette.length];
+};
+
+const labelFor = (options, value) => {
+  const option = options.find((o) => o.value === value);
+  return option ? option.label : value;
+};
+
+/**
+ * Draws imported real-world data (see lib/importData.js) as a second line.
+ */
+const renderObservedLine = (observedData) => {
+  if (!observedData) {
+    return null;
+  }
+  return (
+    <Line
+      type="monotone"
+      dataKey="observed"
+      name="Observed"
+      stroke="#222"
+      strokeWidth={2}
+      dot={{ r: 2 }}
+      connectNulls
+      isAnimationActive={false}
+    />
+  );
+};
+
+/**
+ * Draws the compartmental model's curves (see lib/compartmentalModel.js) as
+ * dashed lines, for each of the lines we are showing that it has.
+ */
+const renderOdeLines = (odeData, lines, options) => {
+  if (!odeData || odeData.length === 0) {
+    return null;
+  }
+  return lines
+    .filter((line) => odeData[0][line + "_ode"] !== undefined)
+    .map((line) => (
+      <Line
+        key={line + "_ode"}
+        type="monotone"
+        dataKey={line + "_ode"}
+        name={labelFor(options, line) + " (equations)"}
+        stroke={colorFor(options, line)}
+        strokeDasharray="6 4"
+        dot={false}
+        isAnimationActive={false}
+      />
+    ));
+};
+
+/**
+ * Draws fixed levels (like the number of hospital beds) as horizontal lines,
+ * for the reference lines that go with one of the lines we are showing.
+ */
+const renderReferenceLines = (referenceLines, lines) => {
+  if (!referenceLines) {
+    return null;
+  }
+  return referenceLines
+    .filter((r) => r.stats.some((stat) => lines.includes(stat)))
+    .map((r) => (
+      <ReferenceLine
+        key={r.label}
+        y={r.value}
+        stroke={r.color}
+        strokeWidth={2}
+        ifOverflow="extendDomain"
+        label={{ value: r.label, position: "insideTopLeft", fill: r.color }}
+      />
+    ));
+};
+
+/**
+ * Draws a dashed line down the chart at the round being looked at, when the
+ * timeline has gone back to an earlier round.
+ */
+const renderMarkedRound = (markedRound) => {
+  if (markedRound === null || markedRound === undefined) {
+    return null;
+  }
+  return (
+    <ReferenceLine
+      x={markedRound}
+      stroke="#888"
+      strokeDasharray="4 4"
+      label={{ value: "Viewing", position: "insideTopRight", fill: "#888" }}
+    />
+  );
+};
+
+/**
+ * Draws the median of an ensemble (see lib/ensemble.js) for each stat in
+ * lines, with a shaded band from its 5th to its 95th percentile.
+ */
+const renderEnsembleChart = (
+  ensembleData,
+  lines,
+  options,
+  { observedData, odeData, referenceLines }
+) => (
+  <ComposedChart data={ensembleData} width={400} height={400}>
+    <YAxis />
+    <XAxis dataKey="round" />
+    {lines.length > 1 && <Tooltip />}
+    {lines.length > 1 && <Legend />}
+    {lines.map((line) => (
+      <Area
+        key={line + "_band"}
+        type="monotone"
+        dataKey={(d) => [d[line + "_p5"], d[line + "_p95"]]}
+        stroke="none"
+        fill={colorFor(options, line)}
+        fillOpacity={0.2}
+        legendType="none"
+        tooltipType="none"
+        isAnimationActive={false}
+      />
+    ))}
+    {lines.map((line) => (
+      <Line
+        key={line}
+        type="monotone"
+        dataKey={line}
+        name={labelFor(options, line)}
+        stroke={colorFor(options, line)}
+        dot={false}
+        isAnimationActive={false}
+      />
+    ))}
+    {renderOdeLines(odeData, lines, options)}
+    {renderObservedLine(observedData)}
+    {renderReferenceLines(referenceLines, lines)}
+  </ComposedChart>
+);
+
+/**
+ * Draws several stats on one chart, each in its own color.
+ */
+const renderLines = (
+  data,
+  lines,
+  options,
+  { observedData, odeData, referenceLines, markedRound }
+) => (
+  <LineChart data={data} width={400} height={400}>
+    <YAxis />
+    <XAxis dataKey="round" />
+    <Tooltip />
+    <Legend />
+    {lines.map((line) => (
+      <Line
+        key={line}
+        type="monotone"
+        dataKey={line}
+        name={labelFor(options, line)}
+        stroke={colorFor(options, line)}
+        dot={false}
+        isAnimationActive={false}
+      />
+    ))}
+    {renderOdeLines(odeData, lines, options)}
+    {renderObservedLine(observedData)}
+    {renderReferenceLines(referenceLines, lines)}
+    {renderMarkedRound(markedRound)}
+  </LineChart>
+);
+
+/**
+ * Stacks the stats marked as compartments (e.g. healthy, exposed, infected,
+ * recovered) on top of each other, so together they fill up the whole
+ * population and you can see how it is split up each round.
+ */
+const renderStacked = (data, options, markedRound) => {
+  const compartments = options.filter((o) => o.compartment);
+  return (
+    <AreaChart data={data} width={400} height={400}>
+      <YAxis />
+      <XAxis dataKey="round" />
+      <Tooltip />
+      <Legend />
+      {compartments.map((o) => (
+        <Area
+          key={o.value}
+          type="monotone"
+          dataKey={o.value}
+          name={o.label}
+          stackId="population"
+          stroke={colorFor(options, o.value)}
+          fill={colorFor(options, o.value)}
+          fillOpacity={0.7}
+          isAnimationActive={false}
+        />
+      ))}
+      {renderMarkedRound(markedRound)}
+    </AreaChart>
+  );
+};
+
+/**
+ * Draws the chart of our statistics over time.
+ *
+ * There are three ways to look at the data:
+ *   - "single": one stat at a time, picked with the tabs
+ *   - "multi": any of the stats at once, toggled with the tabs
+ *   - "stacked": the stats marked { compartment: true } in trackedStats,
+ *     stacked so they add up to the population
+ *
+ * @param {Array<Object>} diseaseData - One row of stats per round.
+ * @param {string} lineToGraph - The stat shown in "single" mode.
+ * @param {Function} setLineToGraph
+ * @param {Array<Object>} options - The model's trackedStats.
+ * @param {Object} [extras]
+ * @param {Array<Object>} [extras.ensembleData] - See lib/ensemble.js.
+ * @param {Array<Object>} [extras.observedData] - See lib/importData.js.
+ * @param {Array<Object>} [extras.odeData] - Curves from the compartmental
+ *   model (see solveForModel in lib/compartmentalModel.js), drawn dashed.
+ * @param {Array<Object>} [extras.referenceLines] - Fixed levels to draw
+ *   across the chart, as { label, value, color, stats }; each is only drawn
+ *   while one of its stats is shown.
+ * @param {Object} [extras.view] - { mode, setMode, shownLines,
+ *   setShownLines }. Without it only "single" mode is available.
+ * @param {number} [extras.markedRound] - A round to mark with a dashed line
+ *   (the one the timeline is showing).
+ */
 export const renderChart = (
   diseaseData,
   lineToGraph,
@@ -8,28 +269,131 @@ export const renderChart = (
   options = [
     { label: "Total Infected", value: "infected" },
     { label: "New Infections", value: "newInfections" },
-  ]
+  ],
+  {
+    ensembleData,
+    observedData,
+    odeData,
+    referenceLines,
+    view,
+    markedRound,
+  } = {}
 ) => {
-  let buttons = options.map((o) => ({ ...o, active: lineToGraph === o.value }));
+  if (odeData) {
+    diseaseData = mergeSolution(diseaseData, odeData);
+    if (ensembleData) {
+      ensembleData = mergeSolution(ensembleData, odeData);
+    }
+  }
+  if (observedData) {
+    diseaseData = mergeObserved(diseaseData, observedData);
+    if (ensembleData) {
+      ensembleData = mergeObserved(ensembleData, observedData);
+    }
+  }
+  const canStack = options.some((o) => o.compartment);
+  let mode = view ? view.mode : "single";
+  if (mode === "stacked" && !canStack) {
+    mode = "single";
+  }
+  // Keep the lines in the same order as the tabs
+  const lines =
+    mode === "multi"
+      ? options
+          .map((o) => o.value)
+          .filter((value) => view.shownLines.includes(value))
+      : [lineToGraph];
 
-  return (
-    <div className="chart-container">
-      <div className="tabs">
-        {buttons.map((b) => (
-          <button
-            key={b.value}
-            onClick={() => setLineToGraph(b.value)}
-            className={b.active ? "active" : ""}
-          >
-            {b.label}
-          </button>
-        ))}
+  const onTab = (value) => {
+    if (mode === "multi") {
+      view.setShownLines(
+        lines.includes(value)
+          ? lines.filter((line) => line !== value)
+          : [...lines, value]
+      );
+    } else {
+      setLineToGraph(value);
+    }
+  };
+
+  let buttons = options.map((o) => ({ ...o, active: lines.includes(o.value) }));
+
+  const renderModes = () => {
+    if (!view) {
+      return null;
+    }
+    return (
+      <div className="chart-modes">
+        {chartModes
+          .filter((m) => m.value !== "stacked" || canStack)
+          .map((m) => (
+            <button
+              key={m.value}
+              onClick={() => view.setMode(m.value)}
+              className={mode === m.value ? "active" : ""}
+            >
+              {m.label}
+            </button>
+          ))}
       </div>
+    );
+  };
+
+  const renderGraph = () => {
+    if (mode === "stacked") {
+      // Medians don't quite add up to the population, but are close enough
+      // to show the split
+      return renderStacked(
+        ensembleData || diseaseData,
+        options,
+        ensembleData ? null : markedRound
+      );
+    }
+    if (ensembleData) {
+      return renderEnsembleChart(ensembleData, lines, options, {
+        observedData,
+        odeData,
+        referenceLines,
+      });
+    }
+    if (mode === "multi") {
+      return renderLines(diseaseData, lines, options, {
+        observedData,
+        odeData,
+        referenceLines,
+        markedRound,
+      });
+    }
+    return (
       <LineChart data={diseaseData} width={400} height={400}>
         <YAxis />
-        <XAxis />
+        <XAxis dataKey="round" />
         <Line type="monotone" dataKey={lineToGraph} stroke="#f00" />
+        {renderOdeLines(odeData, lines, options)}
+        {renderObservedLine(observedData)}
+        {renderReferenceLines(referenceLines, lines)}
+        {renderMarkedRound(markedRound)}
       </LineChart>
+    );
+  };
+
+  return (
+    <div className="chart-container">
+      {renderModes()}
+      {mode !== "stacked" && (
+        <div className="tabs">
+          {buttons.map((b) => (
+            <button
+              key={b.value}
+              onClick={() => onTab(b.value)}
+              className={b.active ? "active" : ""}
+            >
+              {b.label}
+            </button>
+          ))}
+        </div>
+      )}
+      {renderGraph()}
     </div>
   );
 };
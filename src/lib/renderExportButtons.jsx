@@ -0,0 +1,43 @@
+import React from "react";
+import { toCsv, toJson, downloadFile } from "./exportData";
+
+/**
+ * Buttons that download every round of diseaseData (every key
+ * computeStatistics returns, not just the tracked ones) as CSV or JSON.
+ *
+ * @param {Array<Object>} diseaseData
+ * @param {{model: string, populationSize: number, seed: number,
+ *   parameters: Object}} metadata - Saved at the top of the file.
+ */
+export const renderExportButtons = (diseaseData, metadata) => {
+  const filename =
+    `${metadata.model}-seed${metadata.seed}-` + `${diseaseData.length}rounds`;
+  return (
+    <div className="export-buttons">
+      <button
+        disabled={diseaseData.length === 0}
+        onClick={() =>
+          downloadFile(
+            filename + ".csv",
+            toCsv(diseaseData, metadata),
+            "text/csv"
+          )
+        }
+      >
+        Download CSV
+      </button>
+      <button
+        disabled={diseaseData.length === 0}
+        onClick={() =>
+          downloadFile(
+            filename + ".json",
+            toJson(diseaseData, metadata),
+            "application/json"
+          )
+        }
+      >
+        Download JSON
+      </button>
+    </div>
+  );
+};
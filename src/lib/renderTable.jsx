@@ -1,4 +1,13 @@
-export const renderTable = (diseaseData, trackedStats) => {
+// Shows "mean ± standard deviation" for a stat in an ensemble summary row.
+const formatSpread = (dataPoint, key) =>
+  `${dataPoint[key + "_mean"].toFixed(1)} ± ${dataPoint[key + "_sd"].toFixed(
+    1
+  )}`;
+
+export const renderTable = (diseaseData, trackedStats, ensembleData) => {
+  if (ensembleData) {
+    diseaseData = ensembleData;
+  }
   return (
     <table>
       <thead>
@@ -14,7 +23,11 @@ export const renderTable = (diseaseData, trackedStats) => {
           <tr key={dataPoint.round}>
             <td>{dataPoint.round}</td>
             {trackedStats.map((stat) => (
-              <td key={stat.value}>{dataPoint[stat.value]}</td>
+              <td key={stat.value}>
+                {ensembleData
+                  ? formatSpread(dataPoint, stat.value)
+                  : dataPoint[stat.value]}
+              </td>
             ))}
           </tr>
         ))}
@@ -0,0 +1,55 @@
+import { seedRandom, getRandomState, setRandomState } from "./random.js";
+
+/**
+ * Runs a disease model from start to finish without any React, exactly the
+ * way a Simulation component does when you click "Next Turn" over and over.
+ *
+ * The random stream is put back the way it was afterwards, so running a
+ * simulation "on the side" doesn't change what happens in the one on screen.
+ *
+ * @param {Object} model - A diseaseModel.js module (createPopulation,
+ *   updatePopulation, computeStatistics, defaultSimulationParameters).
+ * @param {Object} options
+ * @param {number} [options.populationSize=400] - Number of people to create.
+ * @param {number} [options.rounds=100] - Number of rounds to run.
+ * @param {Object} [options.parameters] - Overrides for the model's
+ *   defaultSimulationParameters.
+ * @param {number} [options.seed] - Seed for the random stream.
+ * @param {Function} [options.onRound] - Called as onRound(population, stats)
+ *   after every round; return true from it to stop the run early.
+ * @returns {Array<Object>} One computeStatistics row per round.
+ */
+export const runSimulation = (
+  model,
+  {
+    populationSize = 400,
+    rounds = 100,
+    parameters = {},
+    seed = 0,
+    onRound,
+  } = {}
+) => {
+  const savedState = getRandomState();
+  // Read-only, just like in the app (see simulationWorker.js): a model that
+  // changes them throws a TypeError, which the command line prints
+  const params = Object.freeze({
+    ...model.defaultSimulationParameters,
+    ...parameters,
+  });
+  const data = [];
+  try {
+    seedRandom(seed);
+    let population = model.createPopulation(populationSize, params);
+    for (let round = 0; round < rounds; round++) {
+      population = model.updatePopulation([...population], params, round);
+      const stats = model.computeStatistics(population, round);
+      data.push(stats);
+      if (onRound && onRound(population, stats)) {
+        break;
+      }
+    }
+  } finally {
+    setRandomState(savedState);
+  }
+  return data;
+};
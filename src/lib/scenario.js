@@ -0,0 +1,127 @@
+/*
+ * Scenario files: a snapshot of a whole run -- every person, the stats so
+ * far and where the random stream had got to -- saved as JSON, so it can be
+ * loaded later (or on another computer) and carried on from exactly the
+ * same point.
+ *
+ * The file has a version number so older files can still be recognised if
+ * the format ever changes.
+ */
+
+export const scenarioFormat = "disease-simulation-scenario";
+export const scenarioVersion = 1;
+
+// Some models link people to each other (e.g. a handshake partner). JSON
+// can't hold those links, so we save them as { person: <array position> }
+// and turn them back into links when loading.
+const unlinkPeople = (population) => {
+  const positions = new Map();
+  population.forEach((person, i) => positions.set(person, i));
+  return population.map((person) => {
+    const saved = {};
+    for (let key of Object.keys(person)) {
+      const value = person[key];
+      saved[key] = positions.has(value)
+        ? { person: positions.get(value) }
+        : value;
+    }
+    return saved;
+  });
+};
+
+const relinkPeople = (population) => {
+  for (let person of population) {
+    for (let key of Object.keys(person)) {
+      const value = person[key];
+      if (value && typeof value === "object" && "person" in value) {
+        person[key] = population[value.person];
+      }
+    }
+  }
+  return population;
+};
+
+/**
+ * Builds the object we save as a scenario file.
+ *
+ * @param {Object} snapshot
+ * @param {string} snapshot.modelId - A key of diseaseModels in sims/models.js.
+ * @param {Object} snapshot.parameters - The simulation parameters.
+ * @param {number} snapshot.seed - The seed the run started from.
+ * @param {number} snapshot.round - Rounds run so far.
+ * @param {number} snapshot.popSize - The population slider's value (the
+ *   square root of the number of people). Not worked out from population,
+ *   which can hold other agents too, like mosquitoes.
+ * @param {number} snapshot.randomState - From getRandomState, so the random
+ *   numbers carry on where they left off.
+ * @param {Array<Object>} snapshot.population - Every person.
+ * @param {Array<Object>} snapshot.diseaseData - The stats for each round.
+ * @returns {Object}
+ */
+export const createScenario = ({
+  modelId,
+  parameters,
+  seed,
+  round,
+  popSize,
+  randomState,
+  population,
+  diseaseData,
+}) => ({
+  format: scenarioFormat,
+  version: scenarioVersion,
+  model: modelId,
+  savedAt: new Date().toISOString(),
+  parameters,
+  seed,
+  round,
+  popSize,
+  randomState,
+  population: unlinkPeople(population),
+  diseaseData,
+});
+
+/**
+ * Reads a scenario file and checks it belongs to the given model.
+ *
+ * @param {string} text - The contents of the file.
+ * @param {string} modelId - The model the page is running.
+ * @returns {Object} The scenario (see createScenario).
+ * @throws {Error} With a message we can show the user if the file isn't a
+ *   scenario, is from a newer version, or was saved from a different model.
+ */
+export const parseScenario = (text, modelId) => {
+  let scenario;
+  try {
+    scenario = JSON.parse(text);
+  } catch (err) {
+    throw new Error("This file isn't valid JSON.");
+  }
+  if (!scenario || scenario.format !== scenarioFormat) {
+    throw new Error("This file isn't a saved scenario.");
+  }
+  if (!(scenario.version <= scenarioVersion)) {
+    throw new Error(
+      `This scenario is version ${scenario.version}, but this page only ` +
+        `understands up to version ${scenarioVersion}.`
+    );
+  }
+  if (scenario.model !== modelId) {
+    throw new Error(
+      `This scenario was saved from the "${scenario.model}" model, but this ` +
+        `page runs "${modelId}".`
+    );
+  }
+  if (
+    !Array.isArray(scenario.population) ||
+    !Array.isArray(scenario.diseaseData) ||
+    typeof scenario.round !== "number" ||
+    !(scenario.popSize > 0)
+  ) {
+    throw new Error(
+      "This scenario is missing its population size, population or stats."
+    );
+  }
+  relinkPeople(scenario.population);
+  return scenario;
+};
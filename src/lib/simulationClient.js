@@ -0,0 +1,107 @@
+/**
+ * Starts a Web Worker (lib/simulationWorker.js) that runs one of the models
+ * in sims/models.js off the main thread.
+ *
+ * Replies come back through onUpdate as
+ * { type: "reset" | "step" | "restore" | "seek", seed, round, firstRound,
+ *   latestRound, populationSize, agentCount, stats, patients }.
+ * Replies to anything sent before the latest reset are dropped, so a slow
+ * step can't sneak old data into a fresh run.
+ *
+ * If the model throws (or the worker can't start), onError is called with
+ * the error message instead, so the page can show it and stop waiting.
+ *
+ * @param {string} modelId - A key of diseaseModels in sims/models.js.
+ * @param {Function} onUpdate - Called with every reply from the worker.
+ * @param {Function} onError - Called with the message of any error.
+ * @returns {{reset: Function, step: Function, seek: Function,
+ *   snapshot: Function, restore: Function, terminate: Function}}
+ */
+export const createSimulationClient = (modelId, onUpdate, onError) => {
+  const worker = new Worker(new URL("./simulationWorker.js", import.meta.url), {
+    type: "module",
+  });
+  let generation = 0;
+  // Snapshots we are waiting for, by request id
+  const pendingSnapshots = new Map();
+  let nextRequestId = 0;
+
+  worker.onmessage = (e) => {
+    const pending = pendingSnapshots.get(e.data.requestId);
+    if (pending) {
+      pendingSnapshots.delete(e.data.requestId);
+      if (e.data.type === "error") {
+        pending.reject(new Error(e.data.message));
+      } else {
+        pending.resolve(e.data);
+      }
+    } else if (e.data.generation !== generation) {
+      return; // From before the latest reset
+    } else if (e.data.type === "error") {
+      onError(e.data.message);
+    } else {
+      onUpdate(e.data);
+    }
+  };
+
+  // Errors the worker couldn't catch itself, e.g. a model that fails to load
+  worker.onerror = (e) => {
+    e.preventDefault();
+    const message = e.message || "The simulation stopped unexpectedly";
+    for (let pending of pendingSnapshots.values()) {
+      pending.reject(new Error(message));
+    }
+    pendingSnapshots.clear();
+    onError(message);
+  };
+
+  return {
+    // Creates a new population of `size` people from `seed` (with the given
+    // parameters, for models whose createPopulation uses them); at most
+    // sampleSize of them are sent back for drawing.
+    reset: (size, seed, sampleSize, parameters) => {
+      generation++;
+      worker.postMessage({
+        type: "reset",
+        generation,
+        modelId,
+        size,
+        seed,
+        sampleSize,
+        parameters,
+      });
+    },
+    // Runs one round of updatePopulation with the given parameters.
+    step: (parameters) => {
+      worker.postMessage({ type: "step", generation, parameters });
+    },
+    // Goes back (or forward) to any round of the run so far; the next step
+    // then starts a new branch from there.
+    seek: (round) => {
+      worker.postMessage({ type: "seek", generation, round });
+    },
+    // Resolves with the whole population, the round and the random state
+    // (after any steps already sent have run).
+    snapshot: () =>
+      new Promise((resolve, reject) => {
+        const requestId = nextRequestId++;
+        pendingSnapshots.set(requestId, { resolve, reject });
+        worker.postMessage({ type: "snapshot", generation, requestId });
+      }),
+    // Replaces the run with a saved one (see lib/scenario.js).
+    restore: (scenario, sampleSize) => {
+      generation++;
+      worker.postMessage({
+        type: "restore",
+        generation,
+        modelId,
+        sampleSize,
+        population: scenario.population,
+        seed: scenario.seed,
+        round: scenario.round,
+        randomState: scenario.randomState,
+      });
+    },
+    terminate: () => worker.terminate(),
+  };
+};
@@ -0,0 +1,147 @@
+/*
+ * A Web Worker that owns the population and runs the disease model, so big
+ * simulations don't freeze the page.
+ *
+ * Talk to it through lib/simulationClient.js rather than directly. Messages
+ * it understands:
+ *   { type: "reset", generation, modelId, size, seed, sampleSize, parameters }
+ *   { type: "step", generation, parameters }
+ *   { type: "restore", generation, modelId, sampleSize, population, seed,
+ *     round, randomState }
+ *   { type: "seek", generation, round }
+ * After each one it replies with
+ *   { type, generation, seed, round, firstRound, latestRound, historyOff,
+ *     populationSize, agentCount, stats, patients }
+ * where patients is an evenly spaced sample of at most sampleSize agents,
+ * populationSize counts only the people (see lib/people.js), agentCount
+ * counts everyone in the population array, mosquitoes included, and
+ * firstRound to latestRound are the rounds we can seek to (see
+ * lib/timeline.js; historyOff is true when the population is too big to
+ * keep any). Stepping after seeking back starts a new branch.
+ *
+ *   { type: "snapshot", generation, requestId }
+ * replies with { type, generation, requestId, seed, round, randomState,
+ * population } -- everything needed to restore the run later.
+ *
+ * If the model throws, the reply is { type: "error", generation, requestId,
+ * message } instead.
+ */
+import { diseaseModels } from "../sims/models.js";
+import { getRandomState, seedRandom, setRandomState } from "./random.js";
+import { createTimeline } from "./timeline.js";
+import { countPeople } from "./people.js";
+
+let model;
+let population = [];
+let round = 0;
+let seed = 0;
+let sampleSize = 1000;
+const timeline = createTimeline();
+
+// Picks people spread evenly through the population so the world view
+// covers the whole map rather than just the first few rows.
+const samplePatients = () => {
+  if (population.length <= sampleSize) {
+    return population;
+  }
+  const sample = [];
+  const stride = population.length / sampleSize;
+  for (let i = 0; i < sampleSize; i++) {
+    sample.push(population[Math.floor(i * stride)]);
+  }
+  return sample;
+};
+
+const reply = (message, stats) => {
+  self.postMessage({
+    type: message.type,
+    generation: message.generation,
+    seed,
+    round,
+    firstRound: timeline.firstRound(),
+    latestRound: timeline.latestRound(),
+    historyOff: timeline.historyOff(),
+    populationSize: countPeople(population),
+    agentCount: population.length,
+    stats,
+    patients: samplePatients(),
+  });
+};
+
+const handleMessage = (message) => {
+  if (message.type === "reset") {
+    model = diseaseModels[message.modelId];
+    sampleSize = message.sampleSize;
+    seed = message.seed;
+    seedRandom(seed);
+    population = model.createPopulation(
+      message.size,
+      Object.freeze({
+        ...model.defaultSimulationParameters,
+        ...message.parameters,
+      })
+    );
+    round = 0;
+    timeline.start(population, round);
+    // Not a round of data -- just lets the page show the starting numbers
+    reply(message, model.computeStatistics(population, round));
+  } else if (message.type === "step") {
+    // Parameters are read-only during a step: a model that tries to change
+    // them throws a TypeError, which is sent back and shown on the page
+    // (see onmessage below), instead of silently overriding the sliders.
+    const parameters = Object.freeze({ ...message.parameters });
+    population = model.updatePopulation([...population], parameters, round);
+    timeline.record(round + 1, parameters, population);
+    const stats = model.computeStatistics(population, round);
+    round++;
+    reply(message, stats);
+  } else if (message.type === "snapshot") {
+    self.postMessage({
+      type: message.type,
+      generation: message.generation,
+      requestId: message.requestId,
+      seed,
+      round,
+      randomState: getRandomState(),
+      population,
+    });
+  } else if (message.type === "restore") {
+    // Picks up a saved run exactly where it stopped, random numbers included
+    model = diseaseModels[message.modelId];
+    sampleSize = message.sampleSize;
+    seed = message.seed;
+    seedRandom(seed);
+    setRandomState(message.randomState);
+    population = message.population;
+    round = message.round;
+    timeline.start(population, round);
+    reply(message, model.computeStatistics(population, round));
+  } else if (message.type === "seek") {
+    const target = Math.max(
+      timeline.firstRound(),
+      Math.min(timeline.latestRound(), message.round)
+    );
+    // Already there: nothing to replay
+    if (target !== round) {
+      round = target;
+      population = timeline.replay(model, round);
+    }
+    // The stats for the round that brought us here, as the step sent them
+    reply(message, model.computeStatistics(population, Math.max(0, round - 1)));
+  }
+};
+
+self.onmessage = (e) => {
+  try {
+    handleMessage(e.data);
+  } catch (err) {
+    // A bug in the model shouldn't leave the page waiting forever for a
+    // reply: send the error back so it can be shown
+    self.postMessage({
+      type: "error",
+      generation: e.data.generation,
+      requestId: e.data.requestId,
+      message: String(err),
+    });
+  }
+};
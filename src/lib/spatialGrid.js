@@ -0,0 +1,59 @@
+/**
+ * A uniform grid over people's x/y coordinates for fast "who is near me?"
+ * questions.
+ *
+ * Checking every person against every other person takes n * n steps, which
+ * is far too slow once there are thousands of people. Instead we drop
+ * everyone into square cells of a fixed size; to find people within some
+ * distance we only need to look in the cells that circle touches.
+ *
+ * Neighbors come back in the same order as the population array, so a model
+ * that draws a random number per neighbor gets exactly the same results as a
+ * loop over the whole population would.
+ *
+ * @param {Array<{x: number, y: number}>} population - The people to index.
+ *   The grid stores array positions, so build a new grid whenever people
+ *   move or the array changes.
+ * @param {number} cellSize - Width of a grid cell; use about the distance
+ *   you will search with.
+ * @returns {{query: Function}} query(x, y, radius) returns the array
+ *   positions of everyone within radius of (x, y), in ascending order.
+ */
+export const createSpatialGrid = (population, cellSize) => {
+  const cells = new Map();
+  const cellOf = (value) => Math.floor(value / cellSize);
+  const keyOf = (cx, cy) => cx + "," + cy;
+
+  for (let i = 0; i < population.length; i++) {
+    const key = keyOf(cellOf(population[i].x), cellOf(population[i].y));
+    let cell = cells.get(key);
+    if (!cell) {
+      cell = [];
+      cells.set(key, cell);
+    }
+    cell.push(i);
+  }
+
+  const query = (x, y, radius) => {
+    const found = [];
+    for (let cx = cellOf(x - radius); cx <= cellOf(x + radius); cx++) {
+      for (let cy = cellOf(y - radius); cy <= cellOf(y + radius); cy++) {
+        const cell = cells.get(keyOf(cx, cy));
+        if (!cell) {
+          continue;
+        }
+        for (let i of cell) {
+          const dx = x - population[i].x;
+          const dy = y - population[i].y;
+          if (Math.sqrt(dx * dx + dy * dy) <= radius) {
+            found.push(i);
+          }
+        }
+      }
+    }
+    // Cells are visited in grid order, so put everyone back in array order
+    return found.sort((a, b) => a - b);
+  };
+
+  return { query };
+};
@@ -0,0 +1,153 @@
+import { runSimulation } from "./runSimulation.js";
+import { isPerson } from "./people.js";
+
+// Outcome metrics a sweep can report for every parameter combination.
+export const sweepMetrics = [
+  { label: "Peak Infected", value: "peakInfected" },
+  { label: "Peak Day", value: "peakDay" },
+  { label: "Final Attack Size (%)", value: "attackSize" },
+];
+
+/**
+ * Lists the values from `from` to `to` (inclusive) in steps of `step`.
+ *
+ * @returns {Array<number>}
+ */
+export const rangeValues = (from, to, step) => {
+  const values = [];
+  if (!(step > 0) || to < from) {
+    return [from];
+  }
+  const count = Math.floor((to - from) / step + 1e-9);
+  for (let i = 0; i <= count; i++) {
+    // Round away floating point noise like 0.30000000000000004
+    values.push(parseFloat((from + i * step).toPrecision(12)));
+  }
+  return values;
+};
+
+// Someone has "been infected" if the model marks them infected or moves
+// them out of the healthy state (exposed, infected, recovered...). Other
+// agents, like mosquitoes, don't count.
+const hasBeenInfected = (person) =>
+  isPerson(person) &&
+  (person.infected === true ||
+    (person.state !== undefined && person.state !== "healthy"));
+
+// A run is complete once nobody is infected or incubating any more. A model
+// where the disease can hide somewhere else (e.g. in mosquitoes) can export
+// its own isOutbreakOver(stats) instead.
+const defaultIsOutbreakOver = (stats) =>
+  (stats.infected ?? 0) === 0 && (stats.exposed ?? 0) === 0;
+
+/**
+ * Runs a model until the outbreak is over (or maxRounds is reached) and
+ * measures how big it got.
+ *
+ * @returns {{peakInfected: number, peakDay: number, attackSize: number}}
+ *   attackSize is the percentage of people who were ever infected.
+ */
+export const measureOutbreak = (
+  model,
+  { populationSize, parameters, seed, maxRounds = 200 }
+) => {
+  const isOutbreakOver = model.isOutbreakOver || defaultIsOutbreakOver;
+  const everInfected = new Set();
+  const data = runSimulation(model, {
+    populationSize,
+    parameters,
+    seed,
+    rounds: maxRounds,
+    onRound: (population, stats) => {
+      for (let p of population) {
+        if (hasBeenInfected(p)) {
+          everInfected.add(p.id);
+        }
+      }
+      return isOutbreakOver(stats);
+    },
+  });
+  let peakInfected = 0;
+  let peakDay = 0;
+  for (let row of data) {
+    if (row.infected > peakInfected) {
+      peakInfected = row.infected;
+      peakDay = row.round;
+    }
+  }
+  return {
+    peakInfected,
+    peakDay,
+    attackSize: (100 * everInfected.size) / populationSize,
+  };
+};
+
+/**
+ * Runs a model to completion for every combination of one or two swept
+ * parameters, averaging each outcome over `repeats` seeds.
+ *
+ * Every combination uses the same seeds, so differences between points come
+ * from the parameters and not from luck.
+ *
+ * @param {Object} model - A diseaseModel.js module.
+ * @param {Object} options
+ * @param {Array<{key: string, values: Array<number>}>} options.axes - One or
+ *   two parameters to sweep and the values to try for each.
+ * @param {Object} options.parameters - Values for every other parameter.
+ * @param {number} options.populationSize
+ * @param {number} options.seed
+ * @param {number} [options.repeats=1]
+ * @param {number} [options.maxRounds=200]
+ * @param {Function} [options.onProgress] - Called with (runs done, runs)
+ *   after each run.
+ * @returns {Array<Object>} One row per combination with the swept values
+ *   under their parameter keys plus every metric in sweepMetrics.
+ */
+export const runSweep = (
+  model,
+  {
+    axes,
+    parameters,
+    populationSize,
+    seed,
+    repeats = 1,
+    maxRounds = 200,
+    onProgress,
+  }
+) => {
+  let combinations = [{}];
+  for (let axis of axes) {
+    const next = [];
+    for (let combination of combinations) {
+      for (let value of axis.values) {
+        next.push({ ...combination, [axis.key]: value });
+      }
+    }
+    combinations = next;
+  }
+
+  const runs = combinations.length * repeats;
+  let done = 0;
+  return combinations.map((combination) => {
+    const row = { ...combination };
+    for (let metric of sweepMetrics) {
+      row[metric.value] = 0;
+    }
+    for (let i = 0; i < repeats; i++) {
+      const outcome = measureOutbreak(model, {
+        populationSize,
+        parameters: { ...parameters, ...combination },
+        seed: seed + i,
+        maxRounds,
+      });
+      for (let metric of sweepMetrics) {
+        row[metric.value] += outcome[metric.value] / repeats;
+      }
+      done += 1;
+      if (onProgress) {
+        onProgress(done, runs);
+      }
+    }
+    return row;
+  });
+};
@@ -0,0 +1,186 @@
+import { getRandomState, setRandomState } from "./random.js";
+
+/*
+ * The history of a run, so we can go back to any earlier round.
+ *
+ * updatePopulation changes people in place, so once a round has run the
+ * round before it is gone. Copying the whole population every round would
+ * use a lot of memory, so instead we keep a copy (a "keyframe") every few
+ * rounds, together with the parameters used for every round and the state
+ * of the random number generator. To get back to any round we start from
+ * the keyframe before it and run the model forward again -- with the same
+ * random numbers and parameters it makes exactly the same choices.
+ *
+ * When the keyframes take up too much memory we drop every other one, so a
+ * long run of a big population keeps a fixed amount of memory and just
+ * replays a few more rounds to get anywhere. Keyframes are never more than
+ * maxReplayRounds apart, so getting to a round never replays more than that;
+ * once they are that far apart we forget the oldest rounds instead, and you
+ * can only go back over the most recent part of the run. If a single copy of
+ * the population is over the budget we keep no history at all.
+ */
+
+// Roughly how much memory (summed over all keyframes) we are willing to use
+const defaultMaxStoredBytes = 200 * 1024 * 1024;
+
+// The most rounds between keyframes, and so the most we replay for a seek
+const defaultMaxReplayRounds = 32;
+
+// A rough guess at how much memory a copy of the population takes: the size
+// of the first few people written out as JSON, times how many there are.
+// (That is a bit more than the copy really takes, which is the safe side.)
+const estimateBytes = (population) => {
+  const sample = population.slice(0, 20);
+  if (sample.length === 0) {
+    return 0;
+  }
+  const people = new Set(population);
+  const text = JSON.stringify(sample, function (key, value) {
+    // A link to another person (e.g. a handshake partner) isn't a copy of
+    // them, and writing them out could go round in circles
+    return this !== sample && people.has(value) ? 0 : value;
+  });
+  return (text.length / sample.length) * population.length;
+};
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.maxStoredBytes=200 MB]
+ * @param {number} [options.maxReplayRounds=32]
+ * @returns {Object} A timeline: call start() for a new run, record() after
+ *   every round, and replay() to get back to an earlier round.
+ */
+export const createTimeline = ({
+  maxStoredBytes = defaultMaxStoredBytes,
+  maxReplayRounds = defaultMaxReplayRounds,
+} = {}) => {
+  let keyframes = []; // { round, population, randomState, bytes }, oldest first
+  let parameters = []; // parameters[r - firstRound] took round r to r + 1
+  let startRound = 0; // Where the run began; keyframes line up from here
+  let firstRound = 0; // The earliest round we can still get back to
+  let latestRound = 0;
+  let interval = 1; // Rounds between keyframes
+  let historyOff = false; // True once one copy is over the budget
+
+  const storedBytes = () => {
+    let total = 0;
+    for (let keyframe of keyframes) {
+      total += keyframe.bytes;
+    }
+    return total;
+  };
+
+  const turnHistoryOff = (round) => {
+    historyOff = true;
+    keyframes = [];
+    parameters = [];
+    firstRound = round;
+  };
+
+  const addKeyframe = (round, population) => {
+    const bytes = estimateBytes(population);
+    if (bytes > maxStoredBytes) {
+      turnHistoryOff(round);
+      return;
+    }
+    keyframes.push({
+      round,
+      population: structuredClone(population),
+      randomState: getRandomState(),
+      bytes,
+    });
+    while (storedBytes() > maxStoredBytes && keyframes.length > 1) {
+      if (interval * 2 <= maxReplayRounds) {
+        // Thin out the keyframes, keeping the ones that line up
+        interval *= 2;
+        keyframes = keyframes.filter(
+          (k) => (k.round - startRound) % interval === 0
+        );
+      } else {
+        // Any further apart and replays get too long: forget the oldest
+        // rounds instead
+        keyframes.shift();
+        parameters.splice(0, keyframes[0].round - firstRound);
+        firstRound = keyframes[0].round;
+      }
+    }
+  };
+
+  return {
+    /**
+     * Forgets everything and starts a new history at the given round (0 for
+     * a fresh run; a loaded scenario can start later). Call it after the
+     * random stream is where the run begins.
+     */
+    start: (population, round = 0) => {
+      keyframes = [];
+      parameters = [];
+      startRound = round;
+      firstRound = round;
+      latestRound = round;
+      interval = 1;
+      historyOff = false;
+      addKeyframe(round, population);
+    },
+
+    /**
+     * Adds a round that just ran. If we had gone back to an earlier round,
+     * everything after it is dropped first: the run branches from here.
+     *
+     * @param {number} round - The round the population is now at.
+     * @param {Object} roundParameters - The parameters used for the step.
+     * @param {Array<Object>} population
+     */
+    record: (round, roundParameters, population) => {
+      if (historyOff) {
+        firstRound = round;
+        latestRound = round;
+        return;
+      }
+      keyframes = keyframes.filter((k) => k.round < round);
+      parameters.length = round - firstRound - 1;
+      parameters.push(roundParameters);
+      latestRound = round;
+      if ((round - startRound) % interval === 0) {
+        addKeyframe(round, population);
+      }
+    },
+
+    /**
+     * Rebuilds the population as it was at the given round, and leaves the
+     * random stream where it was then, so the next step carries on exactly
+     * as it did the first time (unless the parameters change).
+     *
+     * @param {Object} model - The diseaseModel.js that made the run.
+     * @param {number} round - From firstRound to latestRound.
+     * @returns {Array<Object>} A copy; the history itself isn't changed.
+     * @throws {Error} If that round is no longer kept.
+     */
+    replay: (model, round) => {
+      let keyframe = null;
+      for (let k of keyframes) {
+        if (k.round <= round) {
+          keyframe = k;
+        }
+      }
+      if (!keyframe || round > latestRound) {
+        throw new Error(`Round ${round} is no longer kept in the history`);
+      }
+      let population = structuredClone(keyframe.population);
+      setRandomState(keyframe.randomState);
+      for (let r = keyframe.round; r < round; r++) {
+        population = model.updatePopulation(
+          [...population],
+          parameters[r - firstRound],
+          r
+        );
+      }
+      return population;
+    },
+
+    firstRound: () => firstRound,
+    latestRound: () => latestRound,
+    // True if the population is too big to keep any history for
+    historyOff: () => historyOff,
+  };
+};
@@ -1,4 +1,5 @@
-import { shufflePopulation } from "../../lib/shufflePopulation";
+import { random } from "../../lib/random.js";
+import { shufflePopulation } from "../../lib/shufflePopulation.js";
 
 /* 
 * Author: Mr. Hinkle
@@ -27,10 +28,31 @@ export const defaultSimulationParameters = {
   infectionChance: 50,
 };
 
+// Describes each parameter so the page can build its controls for us
+export const parameterSchema = {
+  infectionChance: {
+    label: "Infection Chance",
+    type: "integer",
+    min: 0,
+    max: 100,
+    step: 1,
+    unit: "%",
+    description: "Chance that a handshake with an infected person infects you",
+  },
+};
+
 // List of attributes we show on data table / graph
+// Healthy and Total Infected are "compartments": everyone is in exactly one
+// of them, so the chart can stack them up to the whole population.
 export const trackedStats = [
-  { label: "Total Infected", value: "infected" },
-  { label: "New Infections", value: "newlyInfected" },
+  {
+    label: "Total Infected",
+    value: "infected",
+    color: "#f44336",
+    compartment: true,
+  },
+  { label: "New Infections", value: "newlyInfected", color: "#ff9800" },
+  { label: "Healthy", value: "healthy", color: "#4caf50", compartment: true },
 ];
 
 
@@ -46,14 +68,14 @@ export const createPopulation = (size = 1600) => {
     });
   }
   // Infect patient zero...
-  let patientZero = population[Math.floor(Math.random() * size)];
+  let patientZero = population[Math.floor(random() * size)];
   patientZero.infected = true;
   return population;
 };
 
 
 const maybeInfectPerson = (person, params) => {
-  if (Math.random() * 100 < params.infectionChance) {
+  if (random() * 100 < params.infectionChance) {
     if (!person.infected) {
       person.infected = true;
       person.newlyInfected = true;
@@ -78,10 +100,10 @@ export const updatePopulation = (
     // let's have them meet at person A's spot...        
     // Check if we're at the edge...
     if (personA.x < 1) {
-      personA.x += Math.ceil(Math.random() * 5)
+      personA.x += Math.ceil(random() * 5)
     }
     if (personA.x > 99) {
-      personA.x -= Math.ceil(Math.random() * 5)
+      personA.x -= Math.ceil(random() * 5)
     }
     // Now move personA over slightly to make room
     personA.x -= 1; // person A moves over...
@@ -133,11 +155,12 @@ export const computeStatistics = (population, round) => {
     }
   }
 
-  // Return an object with both of these values
+  // Return an object with these values
   return {
     round,
     infected,
     newlyInfected,
+    healthy: population.length - infected,
   };
 };
 
@@ -0,0 +1,58 @@
+import React from "react";
+import * as diseaseModel from "./diseaseModel";
+import { SimulationShell } from "../../lib/SimulationShell";
+
+// Every way a person (or mosquito) can be drawn in the world view. Mosquitoes
+// come last so they are drawn on top of the people.
+const legend = [
+  { key: "healthy", label: "Healthy", emoji: "😀", color: "#4caf50" },
+  { key: "netted", label: "Healthy (Bed Net)", emoji: "😴", color: "#8bc34a" },
+  { key: "infected", label: "Infected", emoji: "🤒", color: "#f44336" },
+  { key: "immune", label: "Immune", emoji: "😌", color: "#2196f3" },
+  { key: "mosquito", label: "Mosquito", emoji: "🦟", color: "#795548" },
+  {
+    key: "infectiousMosquito",
+    label: "Infectious Mosquito",
+    emoji: "🦠",
+    color: "#9c27b0",
+  },
+];
+
+/**
+ * Picks the legend entry for a person or a mosquito.
+ */
+const glyphFor = (p) => {
+  if (p.kind === "mosquito") {
+    if (p.state === "infectious") {
+      return "infectiousMosquito";
+    }
+    return "mosquito";
+  } else if (p.state === "infected") {
+    return "infected";
+  } else if (p.state === "recovered") {
+    return "immune";
+  } else if (p.bedNet) {
+    return "netted";
+  } else {
+    return "healthy";
+  }
+};
+
+const Simulation = () => (
+  <SimulationShell
+    model={diseaseModel}
+    title="Malaria: People, Mosquitoes and the Seasons"
+    legend={legend}
+    glyphFor={glyphFor}
+  >
+    <p>
+      <code>malaria/diseaseModel.js</code> Malaria passes from people to
+      mosquitoes and back, never directly between people. Mosquito numbers rise
+      and fall with the rainy season; try bed nets and insecticide to see which
+      breaks the cycle. (The population count is people only; the mosquitoes are
+      extra.)
+    </p>
+  </SimulationShell>
+);
+
+export default Simulation;
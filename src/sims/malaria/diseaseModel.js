@@ -0,0 +1,408 @@
+import { random } from "../../lib/random.js";
+import { createSpatialGrid } from "../../lib/spatialGrid.js";
+import { movePerson } from "../../lib/mobility.js";
+
+/*
+ * What we are simulating:
+ * Malaria, which doesn't spread from person to person: a mosquito picks up
+ * the parasite by biting an infected person, carries it for a week or two
+ * while it develops, and then passes it on to the next people it bites.
+ *
+ * What our model does:
+ * - The population holds two kinds of agents: people (kind "human"), who stay
+ *   in their homes on a grid, and mosquitoes (kind "mosquito"), who fly
+ *   around at random.
+ * - Mosquitoes only live a couple of weeks. New ones hatch every round, more
+ *   in the rainy season and fewer in the dry season, so the number of
+ *   mosquitoes goes up and down with the seasons.
+ * - Each round a mosquito may bite someone nearby. Biting an infected person
+ *   can infect the mosquito; after the parasite develops (the "extrinsic
+ *   incubation period") an infectious mosquito can infect the people it bites.
+ * - People recover after a while and are immune for some time afterwards.
+ * - Interventions: bed nets stop most bites on the people who sleep under
+ *   them, and insecticide spraying kills mosquitoes.
+ *
+ * Where the numbers come from (roughly):
+ * - Smith & McKenzie, "Statics and dynamics of malaria infection in Anopheles
+ *   mosquitoes", Malaria Journal (2004): bites every 2-3 days, a 10-day
+ *   extrinsic incubation period, and about a 10% chance of a mosquito dying
+ *   each day.
+ * - WHO World Malaria Report (2023): bed nets and indoor spraying as the main
+ *   ways to control mosquitoes.
+ *
+ * Each round is one day.
+ */
+
+export const defaultSimulationParameters = {
+  mosquitoesPerPerson: 2, // Mosquitoes per person at the height of the rainy season
+  seasonLength: 120, // Rounds from one rainy season to the next
+  seasonalAmplitude: 0.8, // How much mosquito numbers swing with the seasons (0 = not at all)
+  mosquitoLifespan: 10, // Average rounds a mosquito lives
+  biteProbability: 0.33, // Chance a mosquito bites someone each round
+  biteDistance: 8, // How far away a mosquito can find someone to bite
+  mosquitoToHuman: 0.3, // Chance an infectious bite infects a person
+  humanToMosquito: 0.5, // Chance biting an infected person infects the mosquito
+  extrinsicIncubation: 10, // Rounds before an infected mosquito becomes infectious
+  humanRecoveryTime: 30, // Rounds a person stays infected
+  immunityTime: 90, // Rounds a person stays immune after recovering
+  bedNetCoverage: 0, // Fraction of people sleeping under a bed net
+  bedNetEfficacy: 0.7, // Chance a bed net stops a bite
+  insecticideCoverage: 0, // Fraction of homes sprayed with insecticide
+  insecticideKillRate: 0.2, // Extra chance a mosquito dies each round with full coverage
+};
+
+// Describes each parameter so the page can build its controls for us
+export const parameterSchema = {
+  mosquitoesPerPerson: {
+    label: "Mosquitoes per Person",
+    type: "number",
+    min: 0,
+    max: 10,
+    step: 0.1,
+    description: "Mosquitoes per person at the height of the rainy season",
+  },
+  seasonLength: {
+    label: "Season Length",
+    type: "integer",
+    min: 10,
+    max: 365,
+    step: 1,
+    unit: "rounds",
+    description: "Rounds from one rainy season to the next",
+  },
+  seasonalAmplitude: {
+    label: "Seasonal Swing",
+    type: "number",
+    min: 0,
+    max: 1,
+    step: 0.05,
+    description: "How much mosquito numbers drop in the dry season (0 = none)",
+  },
+  mosquitoLifespan: {
+    label: "Mosquito Lifespan",
+    type: "number",
+    min: 1,
+    max: 60,
+    step: 1,
+    unit: "rounds",
+    description: "Average rounds a mosquito lives",
+  },
+  biteProbability: {
+    label: "Bite Probability",
+    type: "number",
+    min: 0,
+    max: 1,
+    step: 0.01,
+    description: "Chance a mosquito bites someone each round",
+  },
+  biteDistance: {
+    label: "Bite Distance",
+    type: "number",
+    min: 1,
+    max: 30,
+    step: 1,
+    unit: "units",
+    description: "How far away a mosquito can find someone to bite",
+  },
+  mosquitoToHuman: {
+    label: "Mosquito → Human",
+    type: "number",
+    min: 0,
+    max: 1,
+    step: 0.01,
+    description: "Chance an infectious bite infects a person",
+  },
+  humanToMosquito: {
+    label: "Human → Mosquito",
+    type: "number",
+    min: 0,
+    max: 1,
+    step: 0.01,
+    description: "Chance biting an infected person infects the mosquito",
+  },
+  extrinsicIncubation: {
+    label: "Parasite Development Time",
+    type: "integer",
+    min: 1,
+    max: 30,
+    step: 1,
+    unit: "rounds",
+    description: "Rounds before an infected mosquito can pass malaria on",
+  },
+  humanRecoveryTime: {
+    label: "Recovery Time",
+    type: "integer",
+    min: 1,
+    max: 120,
+    step: 1,
+    unit: "rounds",
+    description: "Rounds a person stays infected",
+  },
+  immunityTime: {
+    label: "Immunity Time",
+    type: "integer",
+    min: 0,
+    max: 365,
+    step: 1,
+    unit: "rounds",
+    description: "Rounds a person stays immune after recovering",
+  },
+  bedNetCoverage: {
+    label: "Bed Net Coverage",
+    type: "number",
+    min: 0,
+    max: 1,
+    step: 0.05,
+    description: "Fraction of people sleeping under a bed net",
+  },
+  bedNetEfficacy: {
+    label: "Bed Net Efficacy",
+    type: "number",
+    min: 0,
+    max: 1,
+    step: 0.05,
+    description: "Chance a bed net stops a bite",
+  },
+  insecticideCoverage: {
+    label: "Insecticide Coverage",
+    type: "number",
+    min: 0,
+    max: 1,
+    step: 0.05,
+    description: "Fraction of homes sprayed with insecticide",
+  },
+  insecticideKillRate: {
+    label: "Insecticide Kill Rate",
+    type: "number",
+    min: 0,
+    max: 1,
+    step: 0.01,
+    description: "Extra chance a mosquito dies each round with full coverage",
+  },
+};
+
+// Fraction of people infected at the start
+const initialInfectedShare = 0.02;
+// Mosquitoes wander about 2 units a round
+const mosquitoFlight = { movement: "randomWalk", speed: 2, boundary: "bounce" };
+
+// How many mosquitoes the season supports in this round: the most at the
+// start of each rainy season, the fewest half a season later.
+const mosquitoCapacity = (humans, params, round) => {
+  const season = Math.cos((2 * Math.PI * round) / params.seasonLength);
+  const amplitude = params.seasonalAmplitude;
+  // Scales from (1 - amplitude) in the dry season up to 1 in the rainy season
+  const seasonFactor = 1 - amplitude + (amplitude * (1 + season)) / 2;
+  return humans * params.mosquitoesPerPerson * seasonFactor;
+};
+
+// Turns a possibly fractional count into a whole number, rounding up with a
+// chance equal to the fraction (so 2.3 becomes 3 about 30% of the time).
+const randomRound = (count) => {
+  let whole = Math.floor(count);
+  if (random() < count - whole) {
+    whole++;
+  }
+  return whole;
+};
+
+const createMosquito = (id) => ({
+  id,
+  kind: "mosquito",
+  x: random() * 100,
+  y: random() * 100,
+  state: "healthy", // "healthy", "exposed" (parasite developing) or "infectious"
+  daysExposed: 0, // Counter for how long the parasite has been developing
+});
+
+/* Creates size people, plus the mosquitoes the season starts with. */
+export const createPopulation = (
+  size = 1600,
+  params = defaultSimulationParameters
+) => {
+  const population = [];
+  const sideSize = Math.sqrt(size);
+  for (let i = 0; i < size; i++) {
+    population.push({
+      id: i,
+      kind: "human",
+      x: (100 * (i % sideSize)) / sideSize,
+      y: (100 * Math.floor(i / sideSize)) / sideSize,
+      state: "healthy", // "healthy", "infected" or "recovered" (immune)
+      daysInfected: 0, // Counter for how long the person has been infected
+      daysImmune: 0, // Counter for how long the person has been immune
+      // Used to decide who gets a bed net: anyone below bedNetCoverage has
+      // one, so changing the coverage slider adds or removes nets without
+      // reshuffling everyone.
+      netRank: random(),
+      bedNet: false, // Does this person sleep under a bed net? (set each round)
+    });
+  }
+  // Infect a few people to start with
+  let initialInfected = Math.max(1, Math.round(size * initialInfectedShare));
+  for (let i = 0; i < initialInfected; i++) {
+    let person = population[Math.floor(random() * size)];
+    person.state = "infected";
+  }
+  // Add the mosquitoes
+  let mosquitoes = Math.round(mosquitoCapacity(size, params, 0));
+  for (let i = 0; i < mosquitoes; i++) {
+    population.push(createMosquito(size + i));
+  }
+  return population;
+};
+
+// A mosquito bites someone nearby (if there is anyone and it isn't stopped
+// by a bed net) and the parasite may pass either way.
+const bite = (mosquito, humans, grid, params) => {
+  let nearby = grid.query(mosquito.x, mosquito.y, params.biteDistance);
+  if (nearby.length === 0) {
+    return;
+  }
+  let person = humans[nearby[Math.floor(random() * nearby.length)]];
+  if (person.bedNet && random() < params.bedNetEfficacy) {
+    return; // The net stopped the bite
+  }
+  if (
+    mosquito.state === "infectious" &&
+    person.state === "healthy" &&
+    random() < params.mosquitoToHuman
+  ) {
+    person.state = "infected";
+    person.daysInfected = 0;
+    person.newlyInfected = true;
+  } else if (
+    mosquito.state === "healthy" &&
+    person.state === "infected" &&
+    random() < params.humanToMosquito
+  ) {
+    mosquito.state = "exposed";
+    mosquito.daysExposed = 0;
+  }
+};
+
+// round is the number of turns so far (0 on the first turn).
+export const updatePopulation = (population, params, round) => {
+  let humans = [];
+  let mosquitoes = [];
+  let nextId = 0;
+  for (let p of population) {
+    if (p.kind === "human") {
+      humans.push(p);
+    } else {
+      mosquitoes.push(p);
+    }
+    nextId = Math.max(nextId, p.id + 1);
+  }
+
+  // People get better, and lose their immunity after a while
+  for (let p of humans) {
+    p.newlyInfected = false;
+    p.bedNet = p.netRank < params.bedNetCoverage;
+    if (p.state === "infected") {
+      p.daysInfected += 1;
+      if (p.daysInfected >= params.humanRecoveryTime) {
+        p.state = "recovered";
+        p.daysInfected = 0;
+        p.daysImmune = 0;
+      }
+    } else if (p.state === "recovered") {
+      p.daysImmune += 1;
+      if (p.daysImmune >= params.immunityTime) {
+        p.state = "healthy";
+      }
+    }
+  }
+
+  // Mosquitoes die: of old age (on average after mosquitoLifespan rounds)
+  // or from insecticide
+  let deathChance =
+    1 / params.mosquitoLifespan +
+    params.insecticideCoverage * params.insecticideKillRate;
+  let survivors = [];
+  for (let m of mosquitoes) {
+    if (random() >= deathChance) {
+      survivors.push(m);
+    }
+  }
+  mosquitoes = survivors;
+
+  // New mosquitoes hatch. With no insecticide, hatching just keeps up with
+  // old age when the numbers match the season.
+  let hatching = randomRound(
+    mosquitoCapacity(humans.length, params, round) / params.mosquitoLifespan
+  );
+  for (let i = 0; i < hatching; i++) {
+    mosquitoes.push(createMosquito(nextId));
+    nextId++;
+  }
+
+  // Mosquitoes fly around, bite, and the parasite develops inside them
+  let grid = createSpatialGrid(humans, params.biteDistance);
+  for (let m of mosquitoes) {
+    movePerson(m, mosquitoFlight, round);
+    if (random() < params.biteProbability) {
+      bite(m, humans, grid, params);
+    }
+    if (m.state === "exposed") {
+      m.daysExposed += 1;
+      if (m.daysExposed >= params.extrinsicIncubation) {
+        m.state = "infectious";
+      }
+    }
+  }
+
+  return humans.concat(mosquitoes);
+};
+
+// Stats to track: people and mosquitoes are tracked separately.
+// compartment: true marks the human compartments (everyone is in exactly
+// one), so the stacked chart shows how the people are split up.
+export const trackedStats = [
+  { label: "Healthy", value: "healthy", color: "#4caf50", compartment: true },
+  { label: "Infected", value: "infected", color: "#f44336", compartment: true },
+  { label: "Immune", value: "recovered", color: "#2196f3", compartment: true },
+  { label: "New Infections", value: "newInfections", color: "#ff9800" },
+  { label: "Mosquitoes", value: "mosquitoes", color: "#795548" },
+  {
+    label: "Infectious Mosquitoes",
+    value: "infectiousMosquitoes",
+    color: "#9c27b0",
+  },
+];
+
+// The outbreak is only over once no people are infected *and* no
+// mosquitoes are carrying the parasite (used by the Sweep Tool).
+export const isOutbreakOver = (stats) =>
+  stats.infected === 0 &&
+  stats.exposedMosquitoes === 0 &&
+  stats.infectiousMosquitoes === 0;
+
+export const computeStatistics = (population, round) => {
+  let stats = {
+    round,
+    healthy: 0,
+    infected: 0,
+    recovered: 0,
+    newInfections: 0,
+    mosquitoes: 0,
+    exposedMosquitoes: 0,
+    infectiousMosquitoes: 0,
+  };
+  for (let p of population) {
+    if (p.kind === "human") {
+      stats[p.state]++;
+      if (p.newlyInfected) {
+        stats.newInfections++;
+      }
+    } else {
+      stats.mosquitoes++;
+      if (p.state === "exposed") {
+        stats.exposedMosquitoes++;
+      } else if (p.state === "infectious") {
+        stats.infectiousMosquitoes++;
+      }
+    }
+  }
+  return stats;
+};
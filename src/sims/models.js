@@ -0,0 +1,18 @@
+/*
+ * Every disease model we know about, keyed by the name of its folder.
+ *
+ * This file only imports the plain-JavaScript diseaseModel.js files (no React),
+ * so it can be used both by the web app and by the command-line runner in
+ * scripts/runModel.js.
+ */
+import * as handshakeGame from "./handshakeGame/diseaseModel.js";
+import * as simulationOne from "./simulationOne/diseaseModel.js";
+import * as simulationTwo from "./simulationTwo/diseaseModel.js";
+import * as malaria from "./malaria/diseaseModel.js";
+
+export const diseaseModels = {
+  handshakeGame,
+  simulationOne,
+  simulationTwo,
+  malaria,
+};
@@ -1,4 +1,6 @@
-import { shufflePopulation } from "../../lib/shufflePopulation";
+import { random } from "../../lib/random.js";
+import { shufflePopulation } from "../../lib/shufflePopulation.js";
+import { buildNetwork, networkTypes } from "../../lib/contactNetwork.js";
 
 /* Update this code to simulate a simple disease model! */
 
@@ -29,11 +31,108 @@ and not interacting with others in each round.
  * - Faster spread until 50% of the population is infected.
  * - Adjusted infection rate dynamically.
  * - Increased contact per round for faster spread.
+ * - A contact network (ring, random, small world or scale-free) that decides
+ *   who meets whom, to see how the shape of the network changes the outbreak.
  */
 // used ChatGPT constantly to bring ideas to code 
 export const defaultSimulationParameters = {
   infectionChance: 70, // Increased initial infection chance for faster spread
   recoveryTime: 20, // Number of rounds before recovery
+  network: "ring", // Shape of the contact network (see lib/contactNetwork.js)
+  ringNeighbors: 2, // Contacts per person on a ring (and before rewiring)
+  rewireProbability: 0.1, // Small world: chance each contact is rewired
+  averageDegree: 4, // Random network: average contacts per person
+  attachmentEdges: 2, // Scale-free: contacts each newcomer makes
+};
+
+// Describes each parameter so the page can build its controls for us
+export const parameterSchema = {
+  infectionChance: {
+    label: "Infection Chance",
+    type: "integer",
+    min: 0,
+    max: 100,
+    step: 1,
+    unit: "%",
+    description: "Chance that an infected neighbor infects you each round",
+  },
+  recoveryTime: {
+    label: "Recovery Time",
+    type: "integer",
+    min: 1,
+    max: 60,
+    step: 1,
+    unit: "rounds",
+    description: "Number of rounds before an infected person recovers",
+  },
+  network: {
+    label: "Contact Network",
+    type: "select",
+    options: networkTypes,
+    description: "Who can meet (and infect) whom",
+  },
+  ringNeighbors: {
+    label: "Ring Neighbors",
+    type: "integer",
+    min: 2,
+    max: 20,
+    step: 2,
+    unit: "contacts",
+    description: "Ring and small world: contacts per person (half on each side)",
+  },
+  rewireProbability: {
+    label: "Rewire Probability",
+    type: "number",
+    min: 0,
+    max: 1,
+    step: 0.01,
+    description: "Small world: chance each ring contact becomes a random one",
+  },
+  averageDegree: {
+    label: "Average Contacts",
+    type: "number",
+    min: 1,
+    max: 20,
+    step: 0.5,
+    unit: "contacts",
+    description: "Random network: average number of contacts per person",
+  },
+  attachmentEdges: {
+    label: "Attachment Edges",
+    type: "integer",
+    min: 1,
+    max: 10,
+    step: 1,
+    unit: "contacts",
+    description: "Scale-free: contacts each new person makes as it grows",
+  },
+};
+
+// A name for the network the parameters describe, so we know when to build
+// a new one
+const networkKey = (params) =>
+  [
+    params.network,
+    params.ringNeighbors,
+    params.rewireProbability,
+    params.averageDegree,
+    params.attachmentEdges,
+  ].join("/");
+
+// Gives everyone their list of contacts (as positions in the population
+// array) on the network the parameters describe.
+const connectPopulation = (population, params) => {
+  const network = buildNetwork(params.network, population.length, {
+    k: params.ringNeighbors,
+    rewireProbability: params.rewireProbability,
+    averageDegree: params.averageDegree,
+    m: params.attachmentEdges,
+  });
+  const key = networkKey(params);
+  for (let i = 0; i < population.length; i++) {
+    population[i].contacts = network[i];
+    population[i].network = key;
+  }
 };
 
 /* Creates your initial population. By default, we *only* track whether people
@@ -55,11 +154,15 @@ export const createPopulation = (size = 1600) => {
       x: (100 * (i % sideSize)) / sideSize,
       y: (100 * Math.floor(i / sideSize)) / sideSize,
       infected: false,
+      everInfected: false, // Has this person ever caught the disease?
       daysInfected: 0, // Tracks how long a person has been infected
+      contacts: [], // Positions of this person's contacts (set on the first round)
+      network: null, // Which network the contacts come from
     });
   }
-  let patientZero = population[Math.floor(Math.random() * size)];
+  let patientZero = population[Math.floor(random() * size)];
   patientZero.infected = true;
+  patientZero.everInfected = true;
   return population;
 };
 
@@ -74,8 +177,9 @@ const updateIndividual = (person, contacts, params) => {
   }
 
   for (let contact of contacts) {
-    if (contact.infected && Math.random() * 100 < params.infectionChance && !person.infected) {
+    if (contact.infected && random() * 100 < params.infectionChance && !person.infected) {
       person.infected = true;
+      person.everInfected = true;
       person.daysInfected = 1;
       break; // Only need one contact to infect
     }
@@ -84,20 +188,20 @@ const updateIndividual = (person, contacts, params) => {
 
 // Updates the entire population each round
 export const updatePopulation = (population, params) => {
+  // Build the contact network on the first round, and again whenever the
+  // network sliders change
+  if (population.length > 0 && population[0].network !== networkKey(params)) {
+    connectPopulation(population, params);
+  }
+
   let infectedCount = population.filter(p => p.infected).length;
   let totalPopulation = population.length;
   
   let inQuarantine = infectedCount / totalPopulation >= 0.5;
   let endQuarantine = infectedCount / totalPopulation === 0.01;
 
-  // Adjust infection chance: high at start, lower over time
-  if (!inQuarantine) {
-    if (infectedCount < totalPopulation * 0.5) {
-      params.infectionChance = 90; // Make it very easy to spread before quarantine
-    } else {
-      params.infectionChance = 50; // Reduce infection rate after quarantine begins
-    }
-  }
+  // Note: params are read-only while a round runs -- the Infection Chance
+  // slider decides how easily the disease spreads before quarantine.
 
   // If quarantined, just let people recover
   if (inQuarantine) {
@@ -117,13 +221,13 @@ export const updatePopulation = (population, params) => {
     inQuarantine = false;
   }
 
-  // Spread disease: each person contacts two neighbors
+  // Spread disease: each person meets their contacts on the network
   for (let i = 0; i < population.length; i++) {
     let p = population[i];
-    let contacts = [
-      population[(i + 1) % population.length], // Next person
-      population[(i - 1 + population.length) % population.length], // Previous person
-    ];
+    let contacts = [];
+    for (let c of p.contacts) {
+      contacts.push(population[c]);
+    }
     updateIndividual(p, contacts, params);
   }
 
@@ -133,12 +237,23 @@ export const updatePopulation = (population, params) => {
 // Stats to track (students can add more)
 // Any stats you add here should be computed
 // by Compute Stats below
+// Healthy and Total Infected are "compartments": everyone is in exactly one
+// of them, so the chart can stack them up to the whole population.
 export const trackedStats = [
-  { label: "Total Infected", value: "infected" },
+  {
+    label: "Total Infected",
+    value: "infected",
+    color: "#f44336",
+    compartment: true,
+  },
+  { label: "Healthy", value: "healthy", color: "#4caf50", compartment: true },
+  { label: "Ever Infected", value: "everInfected", color: "#9c27b0" },
 ];
 
 // Example: Compute stats (students customize)
 export const computeStatistics = (population, round) => {
   let infected = population.filter(p => p.infected).length;
-  return { round, infected };
+  let healthy = population.length - infected;
+  let everInfected = population.filter(p => p.everInfected).length;
+  return { round, infected, healthy, everInfected };
 };
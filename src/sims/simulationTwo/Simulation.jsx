@@ -1,276 +1,70 @@
-import React, { useEffect, useState } from "react";
-import {
-  createPopulation,
-  updatePopulation,
-  computeStatistics,
-  trackedStats,
-  defaultSimulationParameters,
-} from "./diseaseModel";
-import { renderChart } from "../../lib/renderChart";
-import { renderTable } from "../../lib/renderTable";
-
-let boxSize = 500; // World box size in pixels
-let maxSize = 1000; // Max number of icons we render (we can simulate big populations, but don't render them all...)
+import React from "react";
+import * as diseaseModel from "./diseaseModel";
+import { SimulationShell } from "../../lib/SimulationShell";
+
+// Every way a patient can be drawn in the world view
+const legend = [
+  { key: "healthy", label: "Healthy", emoji: "😀", color: "#4caf50" },
+  { key: "newlyExposed", label: "Newly Exposed", emoji: "🤧", color: "#ff9800" },
+  { key: "exposed", label: "Exposed", emoji: "😐", color: "#ffeb3b" },
+  { key: "infected", label: "Infected", emoji: "🤢", color: "#f44336" },
+  { key: "quarantined", label: "Quarantined", emoji: "😷", color: "#9c27b0" },
+  { key: "recovered", label: "Recovered", emoji: "😌", color: "#2196f3" },
+  { key: "vaccinated", label: "Vaccinated", emoji: "💉", color: "#00bcd4" },
+  { key: "asymptomatic", label: "Asymptomatic", emoji: "😶", color: "#9e9e9e" },
+  { key: "severe", label: "Severely Ill", emoji: "🤒", color: "#b71c1c" },
+  { key: "hospitalized", label: "In Hospital", emoji: "🏥", color: "#3f51b5" },
+  { key: "isolated", label: "Isolated (traced)", emoji: "🏠", color: "#795548" },
+  { key: "deceased", label: "Deceased", emoji: "🪦", color: "#616161" },
+];
 
 /**
- * Renders a subset of the population as a list of patients with emojis indicating their infection status.
+ * Picks the legend entry that shows a patient's infection status.
  */
-const renderPatients = (population) => {
-  let amRenderingSubset = population.length > maxSize;
-  const popSize = population.length;
-  if (popSize > maxSize) {
-    population = population.slice(0, maxSize);
-  }
-
-  function renderEmoji(p) {
-    if (p.newlyExposed) {
-      return "🤧"; // Sneezing Face for new exposures
-    } else if (p.state === "exposed") {
-      return "😐"; // Neutral face for exposed (incubating)
-    } else if (p.state === "infected") {
-      return p.quarantined ? "😷" : "🤢"; // Quarantined: Masked; Infected: Vomiting Face
-    } else if (p.state === "recovered") {
-      return "😌"; // Relieved face for recovered
-    } else {
-      return "😀"; // Healthy person
-    }
-  }
-
-  function renderSubsetWarning() {
-    if (amRenderingSubset) {
-      return (
-        <div className="subset-warning">
-          Only showing {maxSize} ({((maxSize * 100) / popSize).toFixed(2)}%) of{" "}
-          {popSize} patients...
-        </div>
-      );
-    }
+const glyphFor = (p) => {
+  if (p.newlyExposed) {
+    return "newlyExposed"; // Sneezing Face for new exposures
+  } else if (p.state === "exposed") {
+    return "exposed"; // Neutral face for exposed (incubating)
+  } else if (p.state === "infected" && p.asymptomatic) {
+    return "asymptomatic"; // Face without mouth: infected, but nobody can tell
+  } else if (p.hospitalized) {
+    return "hospitalized"; // Hospital for severe cases with a bed
+  } else if (p.isolated) {
+    return "isolated"; // House for people isolating after contact tracing
+  } else if (p.state === "infected" && p.severe) {
+    return "severe"; // Thermometer face for severe cases
+  } else if (p.state === "infected") {
+    return p.quarantined ? "quarantined" : "infected"; // Quarantined: Masked; Infected: Vomiting Face
+  } else if (p.state === "deceased") {
+    return "deceased"; // Headstone for people who died
+  } else if (p.state === "recovered") {
+    return "recovered"; // Relieved face for recovered
+  } else if (p.vaccinated) {
+    return "vaccinated"; // Syringe for healthy people protected by a vaccine
+  } else {
+    return "healthy"; // Healthy person
   }
-
-  return (
-    <>
-      {renderSubsetWarning()}
-      {population.map((p) => (
-        <div
-          key={p.id}
-          data-patient-id={p.id}
-          data-patient-x={p.x}
-          data-patient-y={p.y}
-          className="patient"
-          style={{
-            transform: `translate(${(p.x / 100) * boxSize}px, ${
-              (p.y / 100) * boxSize
-            }px)`,
-          }}
-        >
-          {renderEmoji(p)}
-        </div>
-      ))}
-    </>
-  );
 };
 
-const Simulation = () => {
-  const [popSize, setPopSize] = useState(20);
-  const [population, setPopulation] = useState(
-    createPopulation(popSize * popSize)
-  );
-  const [diseaseData, setDiseaseData] = useState([]);
-  const [lineToGraph, setLineToGraph] = useState("infected");
-  const [autoMode, setAutoMode] = useState(false);
-  const [simulationParameters, setSimulationParameters] = useState(
-    defaultSimulationParameters
-  );
-
-  // Runs a single simulation step
-  const runTurn = () => {
-    let newPopulation = updatePopulation([...population], simulationParameters);
-    setPopulation(newPopulation);
-    let newStats = computeStatistics(newPopulation, diseaseData.length);
-    setDiseaseData([...diseaseData, newStats]);
-  };
-
-  // Resets the simulation
-  const resetSimulation = () => {
-    setPopulation(createPopulation(popSize * popSize));
-    setDiseaseData([]);
-  };
-
-  // Auto-run simulation effect
-  useEffect(() => {
-    if (autoMode) {
-      const timer = setTimeout(runTurn, 500);
-      return () => clearTimeout(timer);
-    }
-  }, [autoMode, population]);
-
-  return (
-    <div>
-      <section className="top">
-        <h1>COVID‑19 Simulation with Quarantine, Incubation & Reinfection</h1>
-        <p>
-         <code>diseaseModel.js</code>  This model
-          includes an incubation period, quarantine mechanics, and reinfection dynamics to recreate COVID‑19.
-        </p>
-
-        <p>
-          Population: {population.length}. Infected:{" "}
-          {population.filter((p) => p.state === "infected").length}
-        </p>
-
-        <button onClick={runTurn}>Next Turn</button>
-        <button onClick={() => setAutoMode(true)}>AutoRun</button>
-        <button onClick={() => setAutoMode(false)}>Stop</button>
-        <button onClick={resetSimulation}>Reset Simulation</button>
-
-        <div className="controls">
-          {/* Original population size controls */}
-          <label>
-            Population:
-            <div className="vertical-stack">
-              {/* Population uses a "square" size to allow a UI that makes it easy to slide
-          from a small population to a large one. */}
-              <input
-                type="range"
-                min="3"
-                max="1000"
-                value={popSize}
-                onChange={(e) => setPopSize(parseInt(e.target.value))}
-              />
-              <input
-                type="number"
-                value={Math.round(popSize * popSize)}
-                step="10"
-                onChange={(e) =>
-                  setPopSize(Math.sqrt(parseInt(e.target.value)))
-                }
-              />
-            </div>
-          </label>
-          {/* Additional simulation parameter sliders */}
-          <div className="parameter-sliders">
-            <label>
-              Infection Rate:
-              <input
-                type="range"
-                min="0"
-                max="1"
-                step="0.01"
-                value={simulationParameters.infectionRate}
-                onChange={(e) =>
-                  setSimulationParameters({
-                    ...simulationParameters,
-                    infectionRate: parseFloat(e.target.value),
-                  })
-                }
-              />
-              {simulationParameters.infectionRate}
-            </label>
-            <label>
-              Incubation Time:
-              <input
-                type="range"
-                min="1"
-                max="14"
-                step="1"
-                value={simulationParameters.incubationTime}
-                onChange={(e) =>
-                  setSimulationParameters({
-                    ...simulationParameters,
-                    incubationTime: parseInt(e.target.value),
-                  })
-                }
-              />
-              {simulationParameters.incubationTime}
-            </label>
-            <label>
-              Recovery Time:
-              <input
-                type="range"
-                min="1"
-                max="30"
-                step="1"
-                value={simulationParameters.recoveryTime}
-                onChange={(e) =>
-                  setSimulationParameters({
-                    ...simulationParameters,
-                    recoveryTime: parseInt(e.target.value),
-                  })
-                }
-              />
-              {simulationParameters.recoveryTime}
-            </label>
-            <label>
-              Reinfection Probability:
-              <input
-                type="range"
-                min="0"
-                max="1"
-                step="0.01"
-                value={simulationParameters.reinfectionProbability}
-                onChange={(e) =>
-                  setSimulationParameters({
-                    ...simulationParameters,
-                    reinfectionProbability: parseFloat(e.target.value),
-                  })
-                }
-              />
-              {simulationParameters.reinfectionProbability}
-            </label>
-            <label>
-              Quarantine Threshold:
-              <input
-                type="range"
-                min="0"
-                max="1"
-                step="0.01"
-                value={simulationParameters.quarantineThreshold}
-                onChange={(e) =>
-                  setSimulationParameters({
-                    ...simulationParameters,
-                    quarantineThreshold: parseFloat(e.target.value),
-                  })
-                }
-              />
-              {simulationParameters.quarantineThreshold}
-            </label>
-            <label>
-              Quarantine Reduction Factor:
-              <input
-                type="range"
-                min="0"
-                max="1"
-                step="0.01"
-                value={simulationParameters.quarantineReductionFactor}
-                onChange={(e) =>
-                  setSimulationParameters({
-                    ...simulationParameters,
-                    quarantineReductionFactor: parseFloat(e.target.value),
-                  })
-                }
-              />
-              {simulationParameters.quarantineReductionFactor}
-            </label>
-          </div>
-        </div>
-      </section>
-
-      <section className="side-by-side">
-        {renderChart(diseaseData, lineToGraph, setLineToGraph, trackedStats)}
-
-        <div className="world">
-          <div
-            className="population-box"
-            style={{ width: boxSize, height: boxSize }}
-          >
-            {renderPatients(population)}
-          </div>
-        </div>
-
-        {renderTable(diseaseData, trackedStats)}
-      </section>
-    </div>
-  );
-};
+const Simulation = () => (
+  <SimulationShell
+    model={diseaseModel}
+    title="COVID‑19 Simulation with Quarantine, Incubation & Reinfection"
+    legend={legend}
+    glyphFor={glyphFor}
+  >
+    <p>
+      <code>diseaseModel.js</code> This model includes an incubation period,
+      quarantine mechanics, reinfection dynamics and vaccination to recreate
+      COVID‑19. To compare how much vaccination and quarantine each lower the
+      peak, sweep <code>vaccinationCoverage</code> or{" "}
+      <code>quarantineThreshold</code> with the Sweep Tool. Chart the severe
+      cases to see them against the number of hospital beds. Turn on Contact
+      Tracing and use Show Comparison to see how much a shorter tracing delay
+      helps.
+    </p>
+  </SimulationShell>
+);
 
 export default Simulation;
@@ -1,4 +1,23 @@
-import { shufflePopulation } from "../../lib/shufflePopulation";
+import { random } from "../../lib/random.js";
+import { shufflePopulation } from "../../lib/shufflePopulation.js";
+import { createSpatialGrid } from "../../lib/spatialGrid.js";
+import {
+  movePopulation,
+  movementTypes,
+  boundaryTypes,
+} from "../../lib/mobility.js";
+import {
+  ageBands,
+  agePyramids,
+  agePyramidOptions,
+  sampleAge,
+  ageBandOf,
+} from "../../lib/ageStructure.js";
+import {
+  recordContact,
+  detectCase,
+  traceContacts,
+} from "../../lib/contactTracing.js";
 /* Update this code to simulate a simple disease model! */
 
 /* For this simulation, you should model a *real world disease* based on some real information about it.
@@ -33,16 +52,26 @@ import { shufflePopulation } from "../../lib/shufflePopulation";
  * What we are attempting to model from the real world:
  *   We simulate features of COVID-19:
  *     - An incubation period during which individuals are exposed but not yet infectious.
- *     - A period of active infection where patients show symptoms.
+ *     - A period of active infection. Some people show symptoms; others (asymptomatic carriers) never do,
+ *       but can still spread the disease.
  *     - Recovery with a very low chance of reinfection.
- *     - Quarantine measures that reduce the infection rate when a threshold of active infections is reached.
+ *     - Quarantine measures that reduce the infection rate when a threshold of visible (symptomatic) infections
+ *       is reached. Only people with symptoms know to quarantine.
+ *     - A vaccination campaign that protects part of the population (imperfectly, and only for a while).
+ *     - People moving around (wandering, commuting or taking trips), except while in quarantine.
+ *     - Ages: older people mix less but are far more likely to become severely ill or die.
+ *     - Hospitals: severe cases take up a hospital bed while one is free. When the beds run out, severe cases
+ *       are much more likely to die -- which is why "flattening the curve" matters.
+ *     - Contact tracing (optional): people with symptoms get found, and after a delay the people they
+ *       met recently are traced (not all of them can be reached) and isolate for a while.
  *   
  * 
  * What we are leaving out of our model:
- *   Detailed movement, demographic factors, and the full spectrum of disease severity.
+ *   Realistic movement (roads, schools, schedules), demographic factors other than age, and the full
+ *   spectrum of disease severity (we only tell mild and severe cases apart).
  * 
  * What elements we have to add:
- *   - Tracking each individual's state: "healthy", "exposed", "infected", or "recovered".
+ *   - Tracking each individual's state: "healthy", "exposed", "infected", "recovered" or "deceased".
  *   - Counters for the incubation period (daysExposed) and the infection period (daysInfected).
  *   - Quarantine mechanics that reduce the effective infection rate when active infections exceed a threshold.
  *   - Reinfection mechanics allowing recovered individuals to lose immunity (though rarely).
@@ -52,8 +81,24 @@ import { shufflePopulation } from "../../lib/shufflePopulation";
  *   - incubationTime: Number of simulation turns an individual remains in the exposed state.
  *   - recoveryTime: Number of simulation turns an individual remains infected before recovering.
  *   - reinfectionProbability: Chance per turn that a recovered individual loses immunity.
- *   - quarantineThreshold: Fraction of the active infected population that triggers quarantine measures.
+ *   - quarantineThreshold: Fraction of the population with symptoms that triggers quarantine measures.
  *   - quarantineReductionFactor: Factor to reduce the infection rate when quarantine is active.
+ *   - vaccinationCoverage, dosesPerRound, vaccinationStartRound: How many people get vaccinated, how fast, and from when.
+ *   - vaccineEfficacy: How much a vaccine reduces the chance of infection.
+ *   - vaccineWaningTime: Number of simulation turns a vaccine keeps protecting someone.
+ *   - movement, movementSpeed, movementBoundary, commutePeriod, jumpProbability, jumpDistance:
+ *     How people move around each turn (see lib/mobility.js).
+ *   - asymptomaticProbability: Chance an infection never shows symptoms.
+ *   - symptomaticInfectiousness, asymptomaticInfectiousness: How contagious each kind of case is.
+ *   - asymptomaticRecoveryTime: Turns an asymptomatic infection lasts (symptomatic ones use recoveryTime).
+ *   - agePyramid: How old the population is (see lib/ageStructure.js).
+ *   - ageContactRates: Whether people of different ages mix more or less.
+ *   - hospitalBedsPerThousand: Hospital beds for severe cases, per 1,000 people.
+ *   - noBedDeathMultiplier: How much more likely a severe case is to die without a bed.
+ *   - contactTracing: Whether detected cases have their contacts traced.
+ *   - tracingSuccessRate, tracingDelay, tracingWindow: How many contacts are reached, how long it takes,
+ *     and how far back contacts are traced.
+ *   - isolationTime: Turns traced people (and the cases themselves) stay isolated.
  * 
  * In plain language, what our model does:
  *   Infected individuals spread the disease to nearby healthy ones. Once exposed, individuals undergo an incubation period
@@ -68,11 +113,320 @@ export const defaultSimulationParameters = {
   infectionRate: 0.3,             // Base chance of transmission per contact
   incubationTime: 5,              // Turns an individual remains exposed (incubation period)
   recoveryTime: 14,               // Turns an individual remains infected before recovering
+  asymptomaticProbability: 0.4,   // Chance an infection never shows symptoms
+  symptomaticInfectiousness: 1,   // Infection rate is multiplied by this for people with symptoms
+  asymptomaticInfectiousness: 0.75, // ...and by this for people without
+  asymptomaticRecoveryTime: 8,    // Turns an asymptomatic infection lasts
   reinfectionProbability: 0.01,   // Chance per turn that a recovered person loses immunity
-  quarantineThreshold: 0.1,       // Fraction of active infections to trigger quarantine
+  quarantineThreshold: 0.1,       // Fraction of people with symptoms to trigger quarantine
   quarantineReductionFactor: 0.3, // Factor to reduce infection rate when quarantine is active
+  vaccinationCoverage: 0,         // Fraction of people we aim to have vaccinated (0 = no campaign)
+  dosesPerRound: 10,              // Most people we can vaccinate each turn
+  vaccinationStartRound: 10,      // Turn the vaccination campaign starts
+  vaccineEfficacy: 0.7,           // How much the vaccine cuts the chance of infection
+  vaccineWaningTime: 180,         // Turns a vaccine protects someone before wearing off
+  movement: "none",               // How people move: "none", "randomWalk" or "commute"
+  movementSpeed: 1,               // Distance people walk each turn
+  movementBoundary: "bounce",     // What happens at the edge of the world: "bounce" or "wrap"
+  commutePeriod: 10,              // Turns for a round trip to work and back
+  jumpProbability: 0,             // Chance per turn of a long trip somewhere else
+  jumpDistance: 50,               // Longest trip someone can take
+  agePyramid: "world",            // Ages of the population: "young", "world" or "aging"
+  ageContactRates: true,          // Whether how much people mix depends on their age
+  hospitalBedsPerThousand: 3,     // Hospital beds for severe cases per 1,000 people
+  noBedDeathMultiplier: 2.5,      // Death risk of a severe case is multiplied by this without a bed
+  contactTracing: false,          // Whether detected cases have their contacts traced
+  tracingSuccessRate: 0.6,        // Chance each contact is reached
+  tracingDelay: 2,                // Turns from symptoms to tracing (testing, phoning around); 0 = same turn
+  tracingWindow: 7,               // Turns of contacts that get traced
+  isolationTime: 14,              // Turns traced people stay isolated
 };
 
+// Asymptomatic numbers from Oran & Topol, "Prevalence of Asymptomatic
+// SARS-CoV-2 Infection", Annals of Internal Medicine (2020), and the CDC's
+// COVID-19 Pandemic Planning Scenarios (2020).
+
+// Contact tracing numbers from Kretzschmar et al., "Impact of delays on
+// effectiveness of contact tracing strategies for COVID-19", The Lancet
+// Public Health (2020): tracing works best when the delay is short, and even
+// 60% of contacts reached makes a real difference.
+
+// What happens to each age band (in the same order as ageBands):
+//   contactRate: how much people of that age mix, relative to the average
+//     (roughly from the POLYMOD contact survey, Mossong et al. 2008)
+//   severeRisk: chance an infection becomes severe (needing hospital care)
+//   deathRisk: chance an infection ends in death (the infection fatality
+//     ratio); only severe cases can die
+// Severity and deaths are from Verity et al., "Estimates of the severity of
+// coronavirus disease 2019", The Lancet Infectious Diseases (2020).
+export const ageEffects = [
+  { contactRate: 1.3, severeRisk: 0.0002, deathRisk: 0.00004 },
+  { contactRate: 1.2, severeRisk: 0.023, deathRisk: 0.0006 },
+  { contactRate: 1.1, severeRisk: 0.063, deathRisk: 0.0038 },
+  { contactRate: 0.7, severeRisk: 0.18, deathRisk: 0.031 },
+  { contactRate: 0.5, severeRisk: 0.184, deathRisk: 0.078 },
+];
+
+// Describes each parameter so the page can build its controls for us
+// (label, type, range, step, unit and a description).
+export const parameterSchema = {
+  infectionRate: {
+    label: "Infection Rate",
+    type: "number",
+    min: 0,
+    max: 1,
+    step: 0.01,
+    description: "Base chance of transmission per contact",
+  },
+  incubationTime: {
+    label: "Incubation Time",
+    type: "integer",
+    min: 1,
+    max: 14,
+    step: 1,
+    unit: "rounds",
+    description: "Turns an individual remains exposed before becoming infectious",
+  },
+  recoveryTime: {
+    label: "Recovery Time",
+    type: "integer",
+    min: 1,
+    max: 30,
+    step: 1,
+    unit: "rounds",
+    description: "Turns an individual remains infected before recovering",
+  },
+  asymptomaticProbability: {
+    label: "Asymptomatic Probability",
+    type: "number",
+    min: 0,
+    max: 1,
+    step: 0.01,
+    description: "Chance an infection never shows symptoms",
+  },
+  symptomaticInfectiousness: {
+    label: "Symptomatic Infectiousness",
+    type: "number",
+    min: 0,
+    max: 2,
+    step: 0.05,
+    description: "Infection rate is multiplied by this for people with symptoms",
+  },
+  asymptomaticInfectiousness: {
+    label: "Asymptomatic Infectiousness",
+    type: "number",
+    min: 0,
+    max: 2,
+    step: 0.05,
+    description:
+      "Infection rate is multiplied by this for people without symptoms",
+  },
+  asymptomaticRecoveryTime: {
+    label: "Asymptomatic Recovery Time",
+    type: "integer",
+    min: 1,
+    max: 30,
+    step: 1,
+    unit: "rounds",
+    description: "Turns an asymptomatic infection lasts",
+  },
+  reinfectionProbability: {
+    label: "Reinfection Probability",
+    type: "number",
+    min: 0,
+    max: 1,
+    step: 0.01,
+    description: "Chance per turn that a recovered person loses immunity",
+  },
+  quarantineThreshold: {
+    label: "Quarantine Threshold",
+    type: "number",
+    min: 0,
+    max: 1,
+    step: 0.01,
+    description: "Fraction of people with symptoms at which quarantine starts",
+  },
+  quarantineReductionFactor: {
+    label: "Quarantine Reduction Factor",
+    type: "number",
+    min: 0,
+    max: 1,
+    step: 0.01,
+    description: "Infection rate is multiplied by this during quarantine",
+  },
+  vaccinationCoverage: {
+    label: "Vaccination Coverage",
+    type: "number",
+    min: 0,
+    max: 1,
+    step: 0.05,
+    description: "Fraction of people the campaign aims to have vaccinated",
+  },
+  dosesPerRound: {
+    label: "Doses per Round",
+    type: "integer",
+    min: 0,
+    max: 1000,
+    step: 1,
+    unit: "doses",
+    description: "Most people that can be vaccinated each turn",
+  },
+  vaccinationStartRound: {
+    label: "Vaccination Start",
+    type: "integer",
+    min: 0,
+    max: 365,
+    step: 1,
+    unit: "round",
+    description: "Turn the vaccination campaign starts",
+  },
+  vaccineEfficacy: {
+    label: "Vaccine Efficacy",
+    type: "number",
+    min: 0,
+    max: 1,
+    step: 0.05,
+    description:
+      "How much the vaccine cuts the chance of infection (1 = full protection)",
+  },
+  vaccineWaningTime: {
+    label: "Vaccine Waning Time",
+    type: "integer",
+    min: 1,
+    max: 365,
+    step: 1,
+    unit: "rounds",
+    description: "Turns a vaccine protects someone before wearing off",
+  },
+  movement: {
+    label: "Movement",
+    type: "select",
+    options: movementTypes,
+    description: "How people move around each turn",
+  },
+  movementSpeed: {
+    label: "Movement Speed",
+    type: "number",
+    min: 0,
+    max: 10,
+    step: 0.1,
+    unit: "units/round",
+    description: "Distance people walk each turn (the world is 100 across)",
+  },
+  movementBoundary: {
+    label: "World Edges",
+    type: "select",
+    options: boundaryTypes,
+    description: "What happens when someone walks off the edge of the world",
+  },
+  commutePeriod: {
+    label: "Commute Period",
+    type: "integer",
+    min: 2,
+    max: 60,
+    step: 1,
+    unit: "rounds",
+    description: "Turns for a round trip from home to work and back",
+  },
+  jumpProbability: {
+    label: "Long Trip Chance",
+    type: "number",
+    min: 0,
+    max: 1,
+    step: 0.01,
+    description: "Chance each turn that someone takes a long trip",
+  },
+  jumpDistance: {
+    label: "Long Trip Distance",
+    type: "number",
+    min: 0,
+    max: 100,
+    step: 1,
+    unit: "units",
+    description: "Longest distance a long trip can take someone",
+  },
+  agePyramid: {
+    label: "Age Pyramid",
+    type: "select",
+    options: agePyramidOptions,
+    setup: true,
+    description: "How old the population is (used when it is created)",
+  },
+  ageContactRates: {
+    label: "Age-Based Mixing",
+    type: "boolean",
+    description: "Young people mix more, older people less",
+  },
+  hospitalBedsPerThousand: {
+    label: "Hospital Beds",
+    type: "number",
+    min: 0,
+    max: 50,
+    step: 0.5,
+    unit: "per 1,000 people",
+    description: "Beds available for severe cases, per 1,000 people",
+  },
+  noBedDeathMultiplier: {
+    label: "Death Risk Without a Bed",
+    type: "number",
+    min: 1,
+    max: 10,
+    step: 0.1,
+    unit: "×",
+    description:
+      "How many times more likely a severe case is to die if it can't get a bed",
+  },
+  contactTracing: {
+    label: "Contact Tracing",
+    type: "boolean",
+    description: "Trace and isolate the recent contacts of people with symptoms",
+  },
+  tracingSuccessRate: {
+    label: "Tracing Success Rate",
+    type: "number",
+    min: 0,
+    max: 1,
+    step: 0.05,
+    description: "Chance each contact of a case is reached",
+  },
+  tracingDelay: {
+    label: "Tracing Delay",
+    type: "integer",
+    min: 0,
+    max: 14,
+    step: 1,
+    unit: "rounds",
+    description:
+      "Turns from someone showing symptoms to their contacts being traced (0: the same turn)",
+  },
+  tracingWindow: {
+    label: "Tracing Window",
+    type: "integer",
+    min: 1,
+    max: 21,
+    step: 1,
+    unit: "rounds",
+    description: "How many turns back contacts are traced",
+  },
+  isolationTime: {
+    label: "Isolation Time",
+    type: "integer",
+    min: 1,
+    max: 30,
+    step: 1,
+    unit: "rounds",
+    description: "Turns traced people stay isolated",
+  },
+};
+
+// How many people are still alive
+const countLiving = (population) =>
+  population.filter((p) => p.state !== "deceased").length;
+
+// Number of hospital beds for a population of this size
+export const hospitalCapacity = (params, populationSize) =>
+  Math.round((params.hospitalBedsPerThousand * populationSize) / 1000);
+
 /* Creates your initial population. By default, we *only* track whether people
 are infected. Any other attributes you want to track would have to be added
 as properties on your initial individual. 
@@ -83,7 +437,10 @@ to add a property such as daysInfected which tracks how long they've been infect
 
 Similarly, if you wanted to track immunity, you would need a property that shows
 whether people are susceptible or immune (i.e. susceptibility or immunity) */
-export const createPopulation = (size = 1600) => {
+export const createPopulation = (
+  size = 1600,
+  params = defaultSimulationParameters
+) => {
   const population = [];
   const sideSize = Math.sqrt(size);
   for (let i = 0; i < size; i++) {
@@ -92,55 +449,178 @@ export const createPopulation = (size = 1600) => {
       x: (100 * (i % sideSize)) / sideSize, // X-coordinate within 100 units
       y: (100 * Math.floor(i / sideSize)) / sideSize, // Y-coordinate scaled similarly
       // Updated properties for detailed simulation:
-      state: "healthy",     // "healthy", "exposed", "infected", or "recovered"
+      state: "healthy",     // "healthy", "exposed", "infected", "recovered" or "deceased"
       daysExposed: 0,       // Counter for how long the person has been in the exposed state
       daysInfected: 0,      // Counter for how long the person has been infected
       quarantined: false,   // Flag to indicate if the person is in quarantine
+      vaccinated: false,    // Flag to indicate the person is protected by a vaccine
+      daysVaccinated: 0,    // Counter for how long ago the person was vaccinated
       newlyExposed: false,  // Flag to mark a person as a new case in the exposed state (for display purposes)
       newlyInfected: false, // Flag to mark a person as a new case in the infected state (for display purposes)
+      everInfected: false,  // Flag to indicate the person has caught the disease at some point
+      asymptomatic: false,  // Flag to indicate the current infection has no symptoms
+      severe: false,        // Flag to indicate the current infection is severe
+      everSevere: false,    // Flag to indicate the person has been severely ill at some point
+      severeSince: null,    // Round the current severe illness started (first come, first served for beds)
+      hospitalized: false,  // Flag to indicate the person is in a hospital bed
+      age: 0,               // Age in years (picked below)
+      ageBand: 0,           // Which of ageBands the age falls in
+      recentContacts: {},   // Who this person was near while carrying the disease (position -> last round)
+      traceRound: null,     // Round this person's contacts will be traced, once they are detected
+      isolated: false,      // Flag to indicate the person is isolating after being traced
+      daysIsolated: 0,      // Counter for how long the person has been isolated
+      timesTraced: 0,       // How many times the person was reached by contact tracing
+      timesMissed: 0,       // How many times tracing tried to reach the person and failed
     });
   }
   // Infect patient zero...
-  let patientZero = population[Math.floor(Math.random() * size)];
+  let patientZero = population[Math.floor(random() * size)];
   patientZero.state = "infected";
   patientZero.daysInfected = 0;
+  patientZero.everInfected = true;
+  // Give everyone an age from the age pyramid
+  let shares = agePyramids[params.agePyramid] || agePyramids.world;
+  for (let p of population) {
+    p.age = sampleAge(shares);
+    p.ageBand = ageBandOf(p.age);
+  }
   return population;
 };
 
+// Increased infectionDistance to 6 to allow adjacent individuals (spaced 5 apart) to get infected.
+const infectionDistance = 6;
+
+// Vaccinates up to dosesPerRound people (picked at random from those who
+// aren't sick or vaccinated already) until vaccinationCoverage of the
+// population is protected, and lets old vaccinations wear off.
+const vaccinate = (population, params, round) => {
+  let vaccinatedCount = 0;
+  for (let p of population) {
+    if (p.vaccinated) {
+      p.daysVaccinated += 1;
+      if (p.daysVaccinated >= params.vaccineWaningTime) {
+        p.vaccinated = false;
+        p.daysVaccinated = 0;
+      }
+    }
+    if (p.vaccinated) {
+      vaccinatedCount++;
+    }
+  }
+
+  if (params.vaccinationCoverage <= 0 || round < params.vaccinationStartRound) {
+    return;
+  }
+  let target = Math.round(params.vaccinationCoverage * population.length);
+  let doses = Math.min(params.dosesPerRound, target - vaccinatedCount);
+  if (doses <= 0) {
+    return;
+  }
+  // Only people without an active infection can get the vaccine
+  let eligible = [];
+  for (let p of population) {
+    if (!p.vaccinated && (p.state === "healthy" || p.state === "recovered")) {
+      eligible.push(p);
+    }
+  }
+  let chosen = shufflePopulation(eligible).slice(0, doses);
+  for (let p of chosen) {
+    p.vaccinated = true;
+    p.daysVaccinated = 0;
+  }
+};
+
 // Example: Update population (students decide what happens each turn)
-export const updatePopulation = (population, params) => {
-  // Determine current fraction of active (infected) individuals.
-  let infectedCount = population.filter(p => p.state === "infected").length;
-  let fractionInfected = infectedCount / population.length;
+// round is the number of turns so far (0 on the first turn).
+export const updatePopulation = (population, params, round) => {
+  vaccinate(population, params, round);
+  // Everyone not in quarantine moves before they meet anyone
+  movePopulation(
+    population,
+    {
+      movement: params.movement,
+      speed: params.movementSpeed,
+      boundary: params.movementBoundary,
+      commutePeriod: params.commutePeriod,
+      jumpProbability: params.jumpProbability,
+      jumpDistance: params.jumpDistance,
+    },
+    round,
+    (p) =>
+      p.quarantined || p.hospitalized || p.isolated || p.state === "deceased"
+  );
+
+  // Determine current fraction of visible (symptomatic) infections -- nobody
+  // knows about the asymptomatic ones.
+  let symptomaticCount = population.filter(p => p.state === "infected" && !p.asymptomatic).length;
+  let fractionSymptomatic = symptomaticCount / countLiving(population);
 
-  // Determine effective infection rate (reduced if quarantine is active).
-  let effectiveInfectionRate = params.infectionRate;
+  // Quarantine starts once enough people are visibly sick.
   let quarantineActive = false;
-  if (fractionInfected >= params.quarantineThreshold) {
+  if (fractionSymptomatic >= params.quarantineThreshold) {
     quarantineActive = true;
-    effectiveInfectionRate = params.infectionRate * params.quarantineReductionFactor;
   }
 
   // Attempt to infect nearby healthy individuals.
-  // Increased infectionDistance to 6 to allow adjacent individuals (spaced 5 apart) to get infected.
-  const infectionDistance = 6;
-  let newExposures = [];
+  // A spatial grid lets us look only at people near each infected person
+  // instead of checking the whole population every time.
+  const grid = createSpatialGrid(population, infectionDistance);
+
+  // Everyone carrying the disease (exposed or infected) remembers who they
+  // were near, so tracing can find them later.
+  if (params.contactTracing) {
+    for (let p of population) {
+      let carrying = p.state === "exposed" || p.state === "infected";
+      if (!carrying || p.isolated || p.hospitalized) {
+        continue;
+      }
+      for (let i of grid.query(p.x, p.y, infectionDistance)) {
+        let other = population[i];
+        if (other !== p && !other.isolated && other.state !== "deceased") {
+          recordContact(p, i, round);
+        }
+      }
+    }
+  }
+
+  let newExposures = new Set();
   for (let p of population) {
-    if (p.state === "infected") {
-      // Mark as quarantined if quarantine is active.
-      p.quarantined = quarantineActive;
+    // People in hospital or isolation are kept away from everyone else
+    if (p.state === "infected" && !p.hospitalized && !p.isolated) {
+      // Mark as quarantined if quarantine is active -- but only people with
+      // symptoms know they should stay home.
+      p.quarantined = quarantineActive && !p.asymptomatic;
+      // Determine effective infection rate (reduced if quarantined).
+      let effectiveInfectionRate = params.infectionRate;
+      if (p.asymptomatic) {
+        effectiveInfectionRate = effectiveInfectionRate * params.asymptomaticInfectiousness;
+      } else {
+        effectiveInfectionRate = effectiveInfectionRate * params.symptomaticInfectiousness;
+      }
+      if (p.quarantined) {
+        effectiveInfectionRate = effectiveInfectionRate * params.quarantineReductionFactor;
+      }
       // Check for healthy neighbors within the infection distance.
-      for (let other of population) {
-        if (other.state === "healthy") {
-          let dx = p.x - other.x;
-          let dy = p.y - other.y;
-          let dist = Math.sqrt(dx * dx + dy * dy);
-          if (dist <= infectionDistance) {
-            if (Math.random() < effectiveInfectionRate) {
-              if (!newExposures.includes(other)) {
-                newExposures.push(other);
-              }
-            }
+      for (let i of grid.query(p.x, p.y, infectionDistance)) {
+        let other = population[i];
+        if (other.state === "healthy" && !other.isolated) {
+          // A vaccine doesn't block every infection, just makes it less likely
+          let chance = effectiveInfectionRate;
+          if (other.vaccinated) {
+            chance = chance * (1 - params.vaccineEfficacy);
+          }
+          // People of different ages mix more or less: use the geometric
+          // mean of the two contact rates
+          if (params.ageContactRates) {
+            chance =
+              chance *
+              Math.sqrt(
+                ageEffects[p.ageBand].contactRate *
+                  ageEffects[other.ageBand].contactRate
+              );
+          }
+          if (random() < chance) {
+            newExposures.add(other);
           }
         }
       }
@@ -168,6 +648,22 @@ export const updatePopulation = (population, params) => {
         p.daysExposed = 0;
         p.daysInfected = 0;
         p.newlyInfected = true;
+        p.everInfected = true;
+        // Some people never show symptoms...
+        p.asymptomatic = random() < params.asymptomaticProbability;
+        // ...and of those who do, older people are much more likely to get
+        // severely ill. (severeRisk is per infection, so it is spread over
+        // the symptomatic cases only.)
+        let symptomaticShare = 1 - params.asymptomaticProbability;
+        if (!p.asymptomatic && random() * symptomaticShare < ageEffects[p.ageBand].severeRisk) {
+          p.severe = true;
+          p.everSevere = true;
+          p.severeSince = round;
+        }
+        // People with symptoms get tested, so tracing can find their contacts
+        if (params.contactTracing && !p.asymptomatic) {
+          detectCase(p, round, params.tracingDelay);
+        }
       }
     } else if (p.state === "infected") {
       // Clear the flag for new infection after one turn.
@@ -175,37 +671,253 @@ export const updatePopulation = (population, params) => {
         p.newlyInfected = false;
       }
       p.daysInfected += 1;
-      // Check if the individual recovers.
-      if (p.daysInfected >= params.recoveryTime) {
-        p.state = "recovered";
+      // Check if the individual recovers (or, for a severe case, dies).
+      let infectionTime = params.recoveryTime;
+      if (p.asymptomatic) {
+        infectionTime = params.asymptomaticRecoveryTime;
+      }
+      if (p.daysInfected >= infectionTime) {
+        // Severe cases are more likely to die if they never got a bed
+        let effects = ageEffects[p.ageBand];
+        let deathChance = effects.deathRisk / effects.severeRisk;
+        if (!p.hospitalized) {
+          deathChance = deathChance * params.noBedDeathMultiplier;
+        }
+        if (p.severe && random() < deathChance) {
+          p.state = "deceased";
+        } else {
+          p.state = "recovered";
+        }
         p.daysInfected = 0;
         p.quarantined = false;
+        p.asymptomatic = false;
+        p.severe = false;
+        p.severeSince = null;
+        p.hospitalized = false;
       }
     } else if (p.state === "recovered") {
       // Allow for loss of immunity and reinfection.
-      if (Math.random() < params.reinfectionProbability) {
+      if (random() < params.reinfectionProbability) {
         p.state = "healthy";
       }
     }
   }
 
+  // Trace the cases that are due, at the end of the round so a case found
+  // this round with no tracing delay has their contacts isolated before
+  // anyone moves again.
+  if (params.contactTracing) {
+    traceContacts(
+      population,
+      {
+        successRate: params.tracingSuccessRate,
+        window: params.tracingWindow,
+        isolationTime: params.isolationTime,
+      },
+      round
+    );
+  }
+
+  // Severe cases go to hospital while there are beds free, in the order
+  // they fell ill (the beds are for the people still alive to need them).
+  let bedsFree = hospitalCapacity(params, countLiving(population));
+  let waiting = [];
+  for (let p of population) {
+    if (p.hospitalized) {
+      bedsFree--;
+    } else if (p.severe) {
+      waiting.push(p);
+    }
+  }
+  waiting.sort((a, b) => (a.severeSince ?? round) - (b.severeSince ?? round));
+  for (let p of waiting) {
+    if (bedsFree <= 0) {
+      break;
+    }
+    p.hospitalized = true;
+    bedsFree--;
+  }
+
   return population;
 };
 
+// How many people sit within infectionDistance of someone on the grid
+// createPopulation lays out.
+const neighborsPerPerson = (populationSize) => {
+  const spacing = 100 / Math.sqrt(populationSize);
+  const reach = Math.floor(infectionDistance / spacing);
+  let neighbors = 0;
+  for (let dx = -reach; dx <= reach; dx++) {
+    for (let dy = -reach; dy <= reach; dy++) {
+      const distance = Math.sqrt(dx * dx + dy * dy) * spacing;
+      if ((dx || dy) && distance <= infectionDistance) {
+        neighbors++;
+      }
+    }
+  }
+  return neighbors;
+};
+
+// How much age changes the average meeting. With ageContactRates on, each
+// meeting is scaled by sqrt(c1 * c2) for the two people's contact rates;
+// averaged over random pairs from the age pyramid that is
+// (sum of share * sqrt(c))^2.
+const ageMixingFactor = (params) => {
+  if (!params.ageContactRates) {
+    return 1;
+  }
+  let shares = agePyramids[params.agePyramid] || agePyramids.world;
+  let average = 0;
+  for (let band = 0; band < shares.length; band++) {
+    average += shares[band] * Math.sqrt(ageEffects[band].contactRate);
+  }
+  return average * average;
+};
+
+// The same disease as a set of equations (see lib/compartmentalModel.js),
+// with rates worked out from our parameters. Symptomatic and asymptomatic
+// cases share one "I" compartment, so we average over the two:
+//   gamma = 1 / (average time infected)
+//   beta  = gamma * (average infections caused over a whole infection),
+//           where each infected person meets `neighbors` people a round,
+//           times ageMixingFactor
+//   sigma = 1 / incubationTime, omega = reinfectionProbability
+// Quarantine only slows down the symptomatic part of the spread, and starts
+// when the symptomatic share of I reaches quarantineThreshold.
+export const compartmentalModel = {
+  stats: { S: "healthy", E: "exposed", I: "infected", R: "recovered" },
+  rates: (params, populationSize) => {
+    const q = params.asymptomaticProbability;
+    const contacts = params.infectionRate * neighborsPerPerson(populationSize);
+    // Infectiousness times duration, for each kind of case
+    const hidden =
+      q * params.asymptomaticInfectiousness * params.asymptomaticRecoveryTime;
+    const visible =
+      (1 - q) * params.symptomaticInfectiousness * params.recoveryTime;
+    const averageTime =
+      q * params.asymptomaticRecoveryTime + (1 - q) * params.recoveryTime;
+    let quarantineFactor = 1;
+    if (hidden + visible > 0) {
+      quarantineFactor =
+        (hidden + visible * params.quarantineReductionFactor) /
+        (hidden + visible);
+    }
+    return {
+      beta:
+        (ageMixingFactor(params) * contacts * (hidden + visible)) /
+        averageTime,
+      sigma: 1 / params.incubationTime,
+      gamma: 1 / averageTime,
+      omega: params.reinfectionProbability,
+      quarantine: {
+        threshold: q < 1 ? params.quarantineThreshold / (1 - q) : Infinity,
+        factor: quarantineFactor,
+      },
+    };
+  },
+};
+
+// Lines the chart draws across the graph when it shows one of the `stats`:
+// here, the number of hospital beds next to the number of severe cases.
+export const referenceLines = (params, populationSize) => [
+  {
+    label: "Hospital Beds",
+    value: hospitalCapacity(params, populationSize),
+    color: "#3f51b5",
+    stats: ["severe", "hospitalized"],
+  },
+];
+
 // Stats to track (students can add more)
 // Any stats you add here should be computed by Compute Stats below
+// compartment: true means everyone is in exactly one of these, so the
+// chart can stack them to show how the population is split up.
 export const trackedStats = [
-  { label: "Healthy", value: "healthy" },
-  { label: "Exposed", value: "exposed" },
-  { label: "Infected", value: "infected" },
-  { label: "Recovered", value: "recovered" },
+  { label: "Healthy", value: "healthy", color: "#4caf50", compartment: true },
+  { label: "Exposed", value: "exposed", color: "#ff9800", compartment: true },
+  { label: "Infected", value: "infected", color: "#f44336", compartment: true },
+  {
+    label: "Recovered",
+    value: "recovered",
+    color: "#2196f3",
+    compartment: true,
+  },
+  { label: "Deceased", value: "deceased", color: "#616161", compartment: true },
+  { label: "Severe", value: "severe", color: "#b71c1c" },
+  { label: "Hospitalized", value: "hospitalized", color: "#3f51b5" },
+  { label: "Symptomatic (visible)", value: "symptomatic", color: "#e91e63" },
+  { label: "Asymptomatic (hidden)", value: "asymptomatic", color: "#9e9e9e" },
+  { label: "Vaccinated", value: "vaccinated", color: "#00bcd4" },
+  { label: "Isolated", value: "isolated", color: "#795548" },
+  { label: "Traced (total)", value: "traced", color: "#8bc34a" },
+  { label: "Missed by Tracing (total)", value: "missed", color: "#ffc107" },
 ];
+// ...plus the deaths in each age band
+for (let band of ageBands) {
+  trackedStats.push({
+    label: "Deaths " + band.label,
+    value: "deaths_" + band.key,
+  });
+}
 
 // Example: Compute stats (students customize)
+// Besides the totals, for every age band (e.g. "60to79") we report:
+//   cases_60to79: people of that age who have ever been infected
+//   severe_60to79: ...who have ever been severely ill
+//   deaths_60to79: ...who have died
+// traced and missed count every time contact tracing reached (or failed to
+// reach) someone, so a person traced twice counts twice.
 export const computeStatistics = (population, round) => {
   let healthy = population.filter(p => p.state === "healthy").length;
   let exposed = population.filter(p => p.state === "exposed").length;
   let infected = population.filter(p => p.state === "infected").length;
   let recovered = population.filter(p => p.state === "recovered").length;
-  return { round, healthy, exposed, infected, recovered };
+  let deceased = population.filter(p => p.state === "deceased").length;
+  let asymptomatic = population.filter(p => p.state === "infected" && p.asymptomatic).length;
+  let symptomatic = infected - asymptomatic;
+  let severe = population.filter(p => p.severe).length;
+  let hospitalized = population.filter(p => p.hospitalized).length;
+  let vaccinated = population.filter(p => p.vaccinated).length;
+  let isolated = population.filter(p => p.isolated).length;
+  let traced = 0;
+  let missed = 0;
+  for (let p of population) {
+    traced += p.timesTraced;
+    missed += p.timesMissed;
+  }
+  let stats = {
+    round,
+    healthy,
+    exposed,
+    infected,
+    recovered,
+    deceased,
+    severe,
+    hospitalized,
+    symptomatic,
+    asymptomatic,
+    vaccinated,
+    isolated,
+    traced,
+    missed,
+  };
+
+  for (let band of ageBands) {
+    stats["cases_" + band.key] = 0;
+    stats["severe_" + band.key] = 0;
+    stats["deaths_" + band.key] = 0;
+  }
+  for (let p of population) {
+    let key = ageBands[p.ageBand].key;
+    if (p.everInfected) {
+      stats["cases_" + key]++;
+    }
+    if (p.everSevere) {
+      stats["severe_" + key]++;
+    }
+    if (p.state === "deceased") {
+      stats["deaths_" + key]++;
+    }
+  }
+  return stats;
 };